@@ -1,34 +1,67 @@
 const fs = require('fs');
 const path = require('path');
 const matter = require('gray-matter').default || require('gray-matter');
-const marked = require('marked');
-const { tmeToTg } = require('./telegram-links');
-
-/**
- * Обрабатывает кастомные блоки в markdown перед конвертацией
- * @param {string} content - Markdown контент
- * @returns {string} Обработанный контент
- */
-// Constants for custom block patterns
-const BLOCK_PATTERNS = {
-  gallery: /\[\[gallery\]\]\r?\n?([\s\S]*?)\r?\n\[\[\/gallery\]\]/g,
-  projectPassport: /\[\[project-passport\]\]\r?\n?([\s\S]*?)\r?\n\[\[\/project-passport\]\]/g,
-  iframe: /\[\[iframe\s*\|\s*([^\]]+)\]\]/g,
-  // Body ends at next custom block, next markdown H2 (##), or EOF (so FAQ toggles do not swallow following sections)
-  toggle: /\[\[toggle\s*\|\s*(.*?)\]\]\r?\n([\s\S]*?)(?=\r?\n\[\[|\r?\n##\s|\r?\n*$)/g,
-  columns: /\[\[columns\]\]([\s\S]*?)\[\[\/columns\]\]/g,
-  columnsLegacy: /(\[\[columns\]\]\s*\|\s*\[\[column\]\][\s\S]*?)(?=\n(?:\[\[|#|$))/g,
-  callout: /\[\[callout\s*\|\s*(\w+)\]\]\r?\n([\s\S]*?)(?:\r?\n\[\[\/callout\]\]|(?=\r?\n(?:\[\[|##|---|$)))/g,
-  column: /\[\[column\]\]/g
+const { tmeToTg, withStartPayload, START_PAYLOAD } = require('./telegram-links');
+const { validateFrontmatter } = require('./frontmatter-schema');
+const { parseRussianDate } = require('./russian-dates');
+const { parseVideoUrl } = require('./video-embeds');
+const { findIframeHost, parseAspectRatio } = require('./iframe-allowlist');
+const { formatFileSize, resolveDocuments, documentOutputPath } = require('./project-documents');
+const { htmlToPlainText } = require('./structured-data');
+const { formatNumberCell, columnAlignments, readCsvTable } = require('./csv-tables');
+const { typographHtml, typographFrontmatter } = require('./russian-typography');
+const { addHeadingAnchors, tocMarker, fillTocMarkers } = require('./heading-anchors');
+const { registerBlock, unregisterBlock, parseBlocks, findBlockNodes } = require('./markdown-blocks');
+const { visitTree, transformTree, findElements, sourcePosition, renderBlockTree, renderTree } = require('./markdown-ast');
+const { hastToHtml } = require('./markdown-parser');
+const { sanitizeTree } = require('./html-sanitizer');
+const { getDimensionsManifest, dimensionAttributes } = require('./image-dimensions');
+
+/** Root of [[include]] paths such as "snippets/risk-disclosure.md" */
+const INCLUDE_ROOT = path.join(__dirname, 'src');
+
+// Lines that end a block body when there is no closing tag
+const BLOCK_IMPLICIT_ENDS = {
+  // Next custom block or markdown H2 (##), so FAQ toggles do not swallow following sections
+  toggle: /^(?:\[\[|##\s)/,
+  callout: /^(?:\[\[|##|---)/,
+  columnsLegacy: /^(?:\[\[|#)/,
+  column: /^\[\[column\]\]/
+};
+
+// Callout types styled in input.css (content-callout-*): icon glyph, default title and ARIA role
+const CALLOUT_TYPES = {
+  info: { icon: 'i', title: 'Важно знать', role: 'note' },
+  accent: { icon: '★', title: 'Главное', role: 'note' },
+  warning: { icon: '!', title: 'Обратите внимание', role: 'note' },
+  risk: { icon: '!', title: 'Риск', role: 'alert' },
+  success: { icon: '✓', title: 'Результат', role: 'note' }
+};
+
+// Vertical alignment flags of [[columns]], styled as content-columns--top/center/bottom
+const COLUMNS_ALIGNMENTS = ['top', 'center', 'bottom'];
+
+// Timeline stage statuses and their visible labels
+const TIMELINE_STATUSES = {
+  done: 'Завершено',
+  current: 'Текущий этап',
+  planned: 'Запланировано'
 };
 
 // Constants for HTML templates
 const HTML_TEMPLATES = {
-  toggle: (title, bodyHtml) =>
-    `<details class="content-toggle">\n<summary>${title}</summary>\n<div class="content-toggle-panel">\n<div class="content-toggle-inner">\n${bodyHtml}\n</div>\n</div>\n</details>\n\n`,
-  columns: (columnHtml) => `<div class="content-columns">${columnHtml}</div>\n\n`,
+  // innerHtml is div.content-toggle-inner, built as a tree node so the FAQ can read it back (see toggleInner)
+  toggle: (title, innerHtml) =>
+    `<details class="content-toggle">\n<summary>${title}</summary>\n<div class="content-toggle-panel">\n${innerHtml}\n</div>\n</details>\n\n`,
+  columns: (columnHtml, { classes = '', ratio = '' } = {}) =>
+    `<div class="content-columns${classes}"${ratio ? ` style="--content-columns: ${ratio}"` : ''}>${columnHtml}</div>\n\n`,
   column: (contentHtml) => `<div class="content-column">${contentHtml}</div>`,
-  callout: (type, textHtml) => `<div class="content-callout content-callout-${type}">\n${textHtml}\n</div>\n\n`,
+  callout: ({ type, icon, title, role }, textHtml) =>
+    `<div class="content-callout content-callout-${type}" role="${role}" aria-label="${title}">\n` +
+    `<p class="content-callout-title"><span class="content-callout-icon" aria-hidden="true">${icon}</span>${title}</p>\n` +
+    `${textHtml}\n</div>\n\n`,
+  gallerySlide: (imgHtml, caption) =>
+    `<figure class="content-gallery-slide">${imgHtml}${caption ? `<figcaption>${caption}</figcaption>` : ''}</figure>`,
   gallery: (innerHtml) =>
     `<div class="content-gallery content-gallery--carousel" role="region" aria-label="Галерея изображений">\n` +
     `<div class="content-gallery-scroller">${innerHtml}</div>\n` +
@@ -41,26 +74,79 @@ const HTML_TEMPLATES = {
     `<section class="content-project-passport" role="region" aria-label="Паспорт проекта">\n` +
     `${innerHtml}\n` +
     `</section>\n\n`,
-  iframe: (src, title) =>
-    `<div class="content-iframe-container">\n` +
-    `<iframe src="${src}" title="${title}" loading="lazy" allowfullscreen referrerpolicy="strict-origin-when-cross-origin"></iframe>\n` +
+  timeline: (itemsHtml) =>
+    `<ol class="content-timeline" aria-label="Этапы проекта">\n${itemsHtml}\n</ol>\n\n`,
+  timelineItem: ({ datetime, dateLabel, title, status }) =>
+    `<li class="content-timeline-item content-timeline-item--${status}"${status === 'current' ? ' aria-current="step"' : ''}>\n` +
+    `<span class="content-timeline-marker" aria-hidden="true"></span>\n` +
+    `<time class="content-timeline-date" datetime="${datetime}">${dateLabel}</time>\n` +
+    `<span class="content-timeline-title">${title}</span>\n` +
+    `<span class="content-timeline-status">${TIMELINE_STATUSES[status]}</span>\n` +
+    `</li>`,
+  kpi: (cardsHtml) =>
+    `<dl class="content-kpi" aria-label="Ключевые показатели">\n${cardsHtml}\n</dl>\n\n`,
+  kpiCard: ({ label, value, hint }) =>
+    `<div class="content-kpi-card">\n` +
+    `<dt class="content-kpi-label">${label}</dt>\n` +
+    `<dd class="content-kpi-value">${value}</dd>\n` +
+    (hint ? `<dd class="content-kpi-hint">${hint}</dd>\n` : '') +
+    `</div>`,
+  // The iframe is created on click by common.js, with the sandbox and allow of its host in iframe-allowlist.js
+  video: ({ src, title, providerName, sandbox, allow, posterHtml }) =>
+    `<div class="content-video" data-video-src="${src}" data-video-title="${title}" data-video-sandbox="${sandbox}" data-video-allow="${allow}">\n` +
+    `<button type="button" class="content-video-facade" aria-label="Смотреть видео: ${title}">\n` +
+    posterHtml +
+    `<span class="content-video-play" aria-hidden="true"></span>\n` +
+    `<span class="content-video-title">${title}</span>\n` +
+    `<span class="content-video-provider">${providerName}</span>\n` +
+    `</button>\n` +
+    `</div>\n\n`,
+  videoLink: (href, title) =>
+    `<p><a href="${href}" target="_blank" rel="noopener noreferrer">${title}</a></p>\n\n`,
+  documents: (itemsHtml) =>
+    `<ul class="content-documents" aria-label="Документы">\n${itemsHtml}\n</ul>\n\n`,
+  documentItem: ({ href, title, typeLabel, typeKind, size, description }) =>
+    `<li class="content-documents-item">\n` +
+    `<a class="content-documents-link" href="${href}" download>\n` +
+    `<span class="content-documents-icon content-documents-icon--${typeKind}" aria-hidden="true">${typeLabel}</span>\n` +
+    `<span class="content-documents-body">\n` +
+    `<span class="content-documents-title">${title}</span>\n` +
+    `<span class="content-documents-meta">${typeLabel}, ${size}</span>\n` +
+    (description ? `<span class="content-documents-description">${description}</span>\n` : '') +
+    `</span>\n` +
+    `</a>\n` +
+    `</li>`,
+  iframe: ({ src, title, sandbox, allow, aspectRatio }) =>
+    `<div class="content-iframe-container"${aspectRatio ? ` style="aspect-ratio: ${aspectRatio}"` : ''}>\n` +
+    `<iframe src="${src}" title="${title}" sandbox="${sandbox}" allow="${allow}" loading="lazy" allowfullscreen referrerpolicy="strict-origin-when-cross-origin"></iframe>\n` +
+    `</div>\n\n`,
+  // Same markup as GFM tables, so wrapTables() puts it in content-table-container like them
+  csvTable: (headHtml, bodyHtml) =>
+    `<table>\n<thead>\n<tr>\n${headHtml}</tr>\n</thead>\n<tbody>${bodyHtml}</tbody></table>\n\n`,
+  csvRow: (cellsHtml, highlighted) =>
+    `<tr${highlighted ? ' class="content-table-row--highlight"' : ''}>\n${cellsHtml}</tr>\n`,
+  csvCell: (tag, align, text) => `<${tag} align="${align}">${text}</${tag}>\n`,
+  // Two stacked figures without JS; common.js turns them into a before/after slider
+  compare: ({ beforeHtml, afterHtml, beforeLabel, afterLabel }) =>
+    `<div class="content-compare">\n` +
+    `<figure class="content-compare-item content-compare-before">${beforeHtml}<figcaption class="content-compare-label">${beforeLabel}</figcaption></figure>\n` +
+    `<figure class="content-compare-item content-compare-after">${afterHtml}<figcaption class="content-compare-label">${afterLabel}</figcaption></figure>\n` +
+    `</div>\n\n`,
+  // Same Telegram/MAX pair as the hero and footer of project.html; one column without MAX
+  cta: ({ text, botLink, maxBotLink }) =>
+    `<div class="content-cta">\n` +
+    `<p class="content-cta-text">${text}</p>\n` +
+    `<div class="grid w-full max-w-2xl mx-auto ${maxBotLink ? 'grid-cols-1 sm:grid-cols-2' : 'grid-cols-1'} gap-3">\n` +
+    `<a href="${botLink}" target="_blank" rel="noopener noreferrer" class="btn btn-lg btn-primary w-full inline-flex items-center justify-center gap-2">` +
+    `<img src="../assets/telegram-logo-mono.svg" alt="" class="h-7 w-7 shrink-0 object-contain" aria-hidden="true"><span>Telegram</span></a>\n` +
+    (maxBotLink
+      ? `<a href="${maxBotLink}" target="_blank" rel="noopener noreferrer" class="btn btn-lg btn-primary w-full inline-flex items-center justify-center gap-2">` +
+        `<img src="../assets/max-logo-mono.svg" alt="" class="h-6 w-6 shrink-0 object-contain" aria-hidden="true"><span>MAX</span></a>\n`
+      : '') +
+    `</div>\n` +
     `</div>\n\n`
 };
 
-/**
- * Cleans content by removing pipe characters from the beginning and end of lines
- * @param {string} content - Content to clean
- * @returns {string} Cleaned content
- */
-function cleanPipeContent(content) {
-  return content
-    .trim()
-    .replace(/^\|\s*/gm, '') // Remove leading pipes
-    .replace(/\|\s*$/gm, '') // Remove trailing pipes
-    .replace(/^\|\s*$/gm, '') // Remove lines that are only pipes
-    .trim();
-}
-
 /**
  * Escapes a string for use inside an HTML double-quoted attribute.
  * @param {string} value
@@ -75,11 +161,11 @@ function escapeHtmlAttr(value) {
 }
 
 /**
- * Returns true if URL is safe to embed in iframe src (http/https only).
+ * Returns true if URL is an absolute http/https URL.
  * @param {string} url
  * @returns {boolean}
  */
-function isAllowedIframeUrl(url) {
+function isHttpUrl(url) {
   const trimmed = url.trim();
   try {
     const u = new URL(trimmed);
@@ -90,134 +176,604 @@ function isAllowedIframeUrl(url) {
 }
 
 /**
- * Processes [[gallery]]...[[/gallery]] blocks (must run before [[toggle]]).
- * @param {string} content
+ * Turns the images of a rendered [[gallery]] body into figures captioned with
+ * the image title, or the alt text when there is no title. Other content is dropped.
+ * @param {object} bodyTree - Gallery body as a hast root
+ * @param {(tree: object) => string} embed - Keeps the image as a node, see markdown-ast.js
  * @returns {string}
  */
-function processGalleryBlocks(content) {
-  return content.replace(BLOCK_PATTERNS.gallery, (match, blockContent) => {
-    const cleanBody = cleanPipeContent(blockContent);
-    const innerHtml = marked.parse(cleanBody);
-    return HTML_TEMPLATES.gallery(innerHtml);
-  });
+function renderGallerySlides(bodyTree, embed) {
+  return findElements(bodyTree, 'img')
+    .map((img) => {
+      const { title, alt } = img.properties;
+      return HTML_TEMPLATES.gallerySlide(embed(img), escapeHtmlAttr(String(title || alt || '').trim()));
+    })
+    .join('\n');
 }
 
 /**
- * Processes [[project-passport]]...[[/project-passport]] blocks.
- * @param {string} content
- * @returns {string}
+ * div.content-toggle-inner around a rendered [[toggle]] body, the tags on lines of their own
+ * as in the template.
+ * @param {object} body - hast root
+ * @returns {object} hast element
  */
-function processProjectPassportBlocks(content) {
-  return content.replace(BLOCK_PATTERNS.projectPassport, (match, blockContent) => {
-    const cleanBody = cleanPipeContent(blockContent);
-    const innerHtml = marked.parse(cleanBody);
-    return HTML_TEMPLATES.projectPassport(innerHtml);
-  });
+function toggleInner(body) {
+  return {
+    type: 'element',
+    tagName: 'div',
+    properties: { className: ['content-toggle-inner'] },
+    children: [{ type: 'text', value: '\n' }, ...body.children, { type: 'text', value: '\n' }]
+  };
 }
 
 /**
- * Processes [[iframe | URL]] blocks (must run before [[toggle]]).
- * @param {string} content
- * @returns {string}
+ * Reads the options of [[columns | 2:1 | reverse-mobile | center]]: an optional ratio of
+ * column widths, then flags in any order.
+ * @param {string[]} args
+ * @returns {{ratio: number[]|null, reverseMobile: boolean, align: string|null, errors: string[]}}
  */
-function processIframeBlocks(content) {
-  return content.replace(BLOCK_PATTERNS.iframe, (match, rawUrl) => {
-    const url = rawUrl.trim();
-    if (!isAllowedIframeUrl(url)) {
-      console.warn(`[build-markdown] Skipped iframe: disallowed or invalid URL`);
-      return '';
+function parseColumnsOptions(args) {
+  const options = { ratio: null, reverseMobile: false, align: null, errors: [] };
+  for (const arg of args.filter(Boolean)) {
+    if (/^[\d\s:]+$/.test(arg)) {
+      const parts = arg.split(':').map((part) => part.trim());
+      if (options.ratio || parts.length < 2 || parts.length > 4 || !parts.every((part) => /^(?:[1-9]|1[0-2])$/.test(part))) {
+        options.errors.push(`Columns ratio "${arg}" must be 2 to 4 whole numbers from 1 to 12 separated by ":", e.g. 2:1`);
+      } else {
+        options.ratio = parts.map(Number);
+      }
+    } else if (arg === 'reverse-mobile') {
+      options.reverseMobile = true;
+    } else if (COLUMNS_ALIGNMENTS.includes(arg)) {
+      options.align = arg;
+    } else {
+      options.errors.push(`Unknown columns option "${arg}", expected a ratio like 2:1, reverse-mobile or one of: ${COLUMNS_ALIGNMENTS.join(', ')}`);
     }
-    const safeSrc = escapeHtmlAttr(url);
-    const safeTitle = escapeHtmlAttr('Интерактивный контент');
-    return HTML_TEMPLATES.iframe(safeSrc, safeTitle);
-  });
+  }
+  return options;
 }
 
 /**
- * Processes toggle blocks in markdown content
- * @param {string} content - Markdown content
- * @returns {string} Processed content
+ * Reports invalid options and a ratio that does not match the number of [[column]] blocks.
+ * @param {object} node - Columns block node
+ * @param {Function} report
  */
-function processToggleBlocks(content) {
-  return content.replace(BLOCK_PATTERNS.toggle, (match, title, blockContent) => {
-    const cleanBody = cleanPipeContent(blockContent);
-    const bodyHtml = marked.parse(cleanBody);
-    return HTML_TEMPLATES.toggle(title, bodyHtml);
-  });
+function validateColumns(node, report) {
+  const { ratio, errors } = parseColumnsOptions(node.args);
+  errors.forEach((message) => report('invalid-columns-option', message));
+  const count = node.children.filter((child) => child.type === 'block' && child.name === 'column').length;
+  if (ratio && ratio.length !== count) {
+    report('columns-ratio-mismatch', `Columns ratio "${ratio.join(':')}" has ${ratio.length} parts but the block has ${count} [[column]] blocks`);
+  }
 }
 
 /**
- * Processes modern column blocks in markdown content
- * @param {string} content - Markdown content
- * @returns {string} Processed content
- */
-function processColumnBlocks(content) {
-  return content.replace(BLOCK_PATTERNS.columns, (match, blockContent) => {
-    const columns = blockContent.split(BLOCK_PATTERNS.column).slice(1);
-    const columnHtml = columns
-      .map(col => {
-        const cleanContent = cleanPipeContent(col);
-        const contentHtml = marked.parse(cleanContent);
-        return HTML_TEMPLATES.column(contentHtml);
-      })
-      .join('');
-    return HTML_TEMPLATES.columns(columnHtml);
-  });
+ * Renders the [[column]] children of a columns block; text before the first column is dropped.
+ * @param {string[]} args - Block arguments, see parseColumnsOptions
+ * @param {Array<object>} children - Parsed columns body
+ * @param {Function} renderNode
+ * @returns {string}
+ */
+function renderColumns(args, children, renderNode) {
+  const { ratio, reverseMobile, align } = parseColumnsOptions(args);
+  const columnHtml = children
+    .filter(node => node.type === 'block' && node.name === 'column')
+    .map(renderNode)
+    .join('');
+  const classes =
+    (ratio ? ' content-columns--ratio' : '') +
+    (reverseMobile ? ' content-columns--reverse-mobile' : '') +
+    (align ? ` content-columns--${align}` : '');
+  return HTML_TEMPLATES.columns(columnHtml, { classes, ratio: ratio ? ratio.map((part) => `${part}fr`).join(' ') : '' });
 }
 
 /**
- * Processes legacy column blocks in markdown content
- * @param {string} content - Markdown content
- * @returns {string} Processed content
- */
-function processLegacyColumnBlocks(content) {
-  return content.replace(BLOCK_PATTERNS.columnsLegacy, (match) => {
-    const parts = match.split(BLOCK_PATTERNS.column);
-    const columns = parts.slice(1); // Skip part before first [[column]]
-
-    const columnHtml = columns
-      .map(col => {
-        const cleanContent = cleanPipeContent(col);
-        const contentHtml = marked.parse(cleanContent);
-        return HTML_TEMPLATES.column(contentHtml);
-      })
-      .join('');
-
-    return HTML_TEMPLATES.columns(columnHtml);
-  });
+ * Parses [[timeline]] body rows of the form "date | title | status".
+ * @param {string} body
+ * @returns {Array<{row: number, text: string, date: import('./russian-dates').RussianDate|null, title: string, status: string}>}
+ */
+function parseTimelineRows(body) {
+  return body
+    .split('\n')
+    .map((text) => text.trim())
+    .filter(Boolean)
+    .map((text, index) => {
+      const [dateText = '', title = '', status = ''] = text.split('|').map((cell) => cell.trim());
+      return { row: index + 1, text, date: parseRussianDate(dateText), title, status: status.toLowerCase() };
+    });
 }
 
 /**
- * Processes callout blocks in markdown content
- * @param {string} content - Markdown content
- * @returns {string} Processed content
+ * Parses [[kpi]] body rows of the form "label | value | hint" (hint is optional).
+ * @param {string} body
+ * @returns {Array<{label: string, value: string, hint: string}>}
  */
-function processCalloutBlocks(content) {
-  return content.replace(BLOCK_PATTERNS.callout, (match, type, blockContent) => {
-    const cleanContent = cleanPipeContent(blockContent);
-    const textHtml = marked.parse(cleanContent);
-    return HTML_TEMPLATES.callout(type, textHtml);
+function parseKpiRows(body) {
+  return body
+    .split('\n')
+    .map((text) => text.trim())
+    .filter(Boolean)
+    .map((text) => {
+      const [label = '', value = '', hint = ''] = text.split('|').map((cell) => cell.trim());
+      return { label, value, hint };
+    });
+}
+
+// Built-in blocks. Nested content (pipe-prefixed lines or blocks inside a closed
+// body) is parsed into children and rendered once through renderBody().
+registerBlock({
+  name: 'gallery',
+  priority: 10,
+  render: (node, { bodyTree, embed }) => HTML_TEMPLATES.gallery(renderGallerySlides(bodyTree(), embed))
+});
+
+// [[compare | before label | after label]] with two images in the body: "было/стало" slider.
+// Images stay <img> elements here and become <picture> in rewriteImages like all project images.
+registerBlock({
+  name: 'compare',
+  priority: 15,
+  parse: ({ args }) => ({ beforeLabel: escapeHtmlAttr(args[0] || 'Было'), afterLabel: escapeHtmlAttr(args[1] || 'Стало') }),
+  validate: ({ body }, report) => {
+    const count = (body.match(/!\[[^\]]*\]\(/g) || []).length;
+    if (count !== 2) {
+      report('invalid-compare-images', `Block [[compare]] needs exactly two images (before, after), found ${count}`);
+    }
+  },
+  render: ({ beforeLabel, afterLabel }, { bodyTree, embed }) => {
+    const body = bodyTree();
+    const images = findElements(body, 'img');
+    if (images.length !== 2) return embed(body);
+    return HTML_TEMPLATES.compare({ beforeHtml: embed(images[0]), afterHtml: embed(images[1]), beforeLabel, afterLabel });
+  }
+});
+
+registerBlock({
+  name: 'project-passport',
+  priority: 20,
+  render: (node, { renderBody }) => HTML_TEMPLATES.projectPassport(renderBody())
+});
+
+// [[iframe | url | title | aspect-ratio]]: only hosts from iframe-allowlist.js, others fail the build
+registerBlock({
+  name: 'iframe',
+  hasClosingTag: false,
+  priority: 30,
+  parse: ({ args }) => ({
+    url: (args[0] || '').trim(),
+    title: args[1] || 'Интерактивный контент',
+    aspectRatio: parseAspectRatio(args[2]),
+    host: findIframeHost(args[0])
+  }),
+  validate: ({ args }, report) => {
+    if (!findIframeHost(args[0])) {
+      report('iframe-host-not-allowed', `Iframe "${args[0] || ''}" is not an https URL from an allowed host (see iframe-allowlist.js)`);
+    }
+    if (!args[1]) {
+      report('missing-iframe-title', 'Iframe has no title: use [[iframe | url | title]] for screen readers', 'warning');
+    }
+    if (args[2] && !parseAspectRatio(args[2])) {
+      report('invalid-aspect-ratio', `Iframe aspect ratio "${args[2]}" is invalid, expected e.g. 16:9 or 4/3`);
+    }
+  },
+  render: ({ url, title, aspectRatio, host }) => {
+    if (!host) return '';
+    return HTML_TEMPLATES.iframe({
+      src: escapeHtmlAttr(url),
+      title: escapeHtmlAttr(title),
+      sandbox: host.sandbox,
+      allow: host.allow,
+      aspectRatio
+    });
+  }
+});
+
+// [[video | url | title | images/poster.jpg]]: VK Video, Rutube or YouTube behind a click-to-load
+// facade (common.js); the optional poster is a project image, rewritten and checked like the others
+registerBlock({
+  name: 'video',
+  hasClosingTag: false,
+  priority: 35,
+  parse: ({ args }) => ({
+    url: args[0] || '',
+    title: args[1] || 'Видео',
+    poster: (args[2] || '').trim(),
+    video: parseVideoUrl(args[0])
+  }),
+  validate: ({ args }, report) => {
+    if (!parseVideoUrl(args[0])) {
+      report('unknown-video-host', `Video "${args[0] || ''}" is not a VK Video, Rutube or YouTube link: rendered as a plain link`, 'warning');
+    }
+    if (!args[1]) {
+      report('missing-video-title', 'Video has no title: add [[video | url | title]] for screen readers', 'warning');
+    }
+    if (args[2] && !isProjectImage(args[2].trim())) {
+      report('invalid-video-poster', `Video poster "${args[2].trim()}" must be an image next to the page, e.g. images/poster.jpg`, 'warning');
+    }
+  },
+  render: ({ url, title, poster, video }, { embed, node }) => {
+    const safeTitle = escapeHtmlAttr(title);
+    const host = video && findIframeHost(video.embedUrl);
+    if (!host) {
+      return isHttpUrl(url) ? HTML_TEMPLATES.videoLink(escapeHtmlAttr(url.trim()), safeTitle) : '';
+    }
+    // An element rather than markup, so rewriteImages() turns it into a <picture> and reports it at the block line
+    const posterHtml = isProjectImage(poster)
+      ? embed({
+          type: 'element',
+          tagName: 'img',
+          properties: { src: poster, alt: '', className: ['content-video-poster'] },
+          children: [],
+          position: { start: { line: node.line, column: node.column }, end: { line: node.line, column: node.column } },
+          ...(node.file ? { data: { file: node.file } } : {})
+        }) + '\n'
+      : '';
+    return HTML_TEMPLATES.video({
+      src: escapeHtmlAttr(video.embedUrl),
+      title: safeTitle,
+      providerName: video.providerName,
+      sandbox: host.sandbox,
+      allow: host.allow,
+      posterHtml
+    });
+  }
+});
+
+// [[/toggle]] is optional: without it the body runs to the next block or H2
+registerBlock({
+  name: 'toggle',
+  hasClosingTag: 'optional',
+  implicitEnd: BLOCK_IMPLICIT_ENDS.toggle,
+  priority: 40,
+  parse: ({ args }) => ({ title: args.join(' | ') }),
+  render: ({ title }, { bodyTree, embed, page }) => {
+    const inner = toggleInner(bodyTree());
+    // The FAQ answer is read from this element once the page tree went through every pass
+    if (page && page.toggles) page.toggles.push({ question: title, inner });
+    return HTML_TEMPLATES.toggle(escapeHtmlAttr(title), embed(inner));
+  }
+});
+
+registerBlock({
+  name: 'columns',
+  priority: 50,
+  validate: validateColumns,
+  render: ({ args }, { children, renderNode }) => renderColumns(args, children, renderNode)
+});
+
+// Legacy form: [[columns]] | [[column]] ... without closing tag, ends at next block or heading
+registerBlock({
+  name: 'columns-legacy',
+  tag: 'columns',
+  hasClosingTag: false,
+  implicitEnd: BLOCK_IMPLICIT_ENDS.columnsLegacy,
+  accepts: ({ body }) => body.startsWith('[[column]]'),
+  priority: 60,
+  validate: validateColumns,
+  render: ({ args }, { children, renderNode }) => renderColumns(args, children, renderNode)
+});
+
+registerBlock({
+  name: 'column',
+  hasClosingTag: false,
+  implicitEnd: BLOCK_IMPLICIT_ENDS.column,
+  priority: 65,
+  render: (node, { renderBody }) => HTML_TEMPLATES.column(renderBody())
+});
+
+registerBlock({
+  name: 'callout',
+  hasClosingTag: 'optional',
+  implicitEnd: BLOCK_IMPLICIT_ENDS.callout,
+  priority: 70,
+  // [[callout | warning | Custom title]]: the title defaults to the one of the type
+  parse: ({ args }) => ({ type: args[0], title: args.slice(1).join(' | ') }),
+  validate: ({ args }, report) => {
+    if (!Object.prototype.hasOwnProperty.call(CALLOUT_TYPES, args[0])) {
+      report(
+        'unknown-callout-type',
+        `Unknown callout type "${args[0] || ''}", expected one of: ${Object.keys(CALLOUT_TYPES).join(', ')}`
+      );
+    }
+  },
+  render: ({ type, title }, { renderBody }) => {
+    // An unknown type is already reported; the dev preview shows it as info
+    const knownType = Object.prototype.hasOwnProperty.call(CALLOUT_TYPES, type) ? type : 'info';
+    const { icon, title: defaultTitle, role } = CALLOUT_TYPES[knownType];
+    return HTML_TEMPLATES.callout(
+      { type: knownType, icon, title: escapeHtmlAttr(title || defaultTitle), role },
+      renderBody()
+    );
+  }
+});
+
+// Each body line is "date | title | status", status is done, current or planned
+registerBlock({
+  name: 'timeline',
+  priority: 80,
+  parse: ({ body }) => parseTimelineRows(body),
+  validate: ({ body }, report) => {
+    const rows = parseTimelineRows(body);
+    for (const { row, text, date, title, status } of rows) {
+      if (!date) {
+        report('invalid-timeline-date', `Timeline row ${row} "${text}": expected a date like 30.04.2026, 04.2026, апрель 2026 or IV кв. 2026`);
+      }
+      if (!title) {
+        report('invalid-timeline-row', `Timeline row ${row} "${text}": missing title, expected "date | title | status"`);
+      }
+      if (!Object.prototype.hasOwnProperty.call(TIMELINE_STATUSES, status)) {
+        report('invalid-timeline-status', `Timeline row ${row} "${text}": status must be one of ${Object.keys(TIMELINE_STATUSES).join(', ')}`);
+      }
+    }
+    if (rows.filter((row) => row.status === 'current').length > 1) {
+      report('multiple-current-stages', 'Timeline has more than one current stage', 'warning');
+    }
+  },
+  render: (rows) => {
+    const itemsHtml = rows
+      .filter(({ date, title, status }) => date && title && TIMELINE_STATUSES[status])
+      .map(({ date, title, status }) =>
+        HTML_TEMPLATES.timelineItem({
+          datetime: date.datetime,
+          dateLabel: escapeHtmlAttr(date.label),
+          title: escapeHtmlAttr(title),
+          status
+        })
+      )
+      .join('\n');
+    return HTML_TEMPLATES.timeline(itemsHtml);
+  }
+});
+
+// Each body line is "label | value | hint"; values are also returned as metadata.kpis
+registerBlock({
+  name: 'kpi',
+  priority: 90,
+  parse: ({ body }) => parseKpiRows(body),
+  validate: ({ body }, report) => {
+    parseKpiRows(body).forEach(({ label, value }, index) => {
+      if (!label || !value) {
+        report('invalid-kpi-row', `KPI row ${index + 1}: expected "label | value | hint", label and value are required`);
+      }
+    });
+  },
+  render: (rows) => {
+    const cardsHtml = rows
+      .filter(({ label, value }) => label && value)
+      .map(({ label, value, hint }) =>
+        HTML_TEMPLATES.kpiCard({ label: escapeHtmlAttr(label), value: escapeHtmlAttr(value), hint: escapeHtmlAttr(hint) })
+      )
+      .join('\n');
+    return HTML_TEMPLATES.kpi(cardsHtml);
+  }
+});
+
+// [[toc]] or [[toc | title]]: table of contents of the page's H2/H3, placed where the block stands
+registerBlock({
+  name: 'toc',
+  hasClosingTag: false,
+  priority: 110,
+  parse: ({ args }) => ({ title: args.join(' | ') || 'Содержание' }),
+  // A comment node, not raw HTML: the sanitiser keeps it, and enhanceHtmlContent fills it with the page's headings
+  render: ({ title }, { embed }) => embed(tocMarker(title))
+});
+
+// [[cta | text | start]]: bot buttons mid-article, linking to the page's bot_link / max_bot_link.
+// The optional start payload replaces the one in the frontmatter links to mark the section.
+// Pages without bot_link are reported by processMarkdownFile.
+registerBlock({
+  name: 'cta',
+  hasClosingTag: false,
+  priority: 120,
+  parse: ({ args }) => ({ text: args[0] || '', start: args[1] || '' }),
+  validate: ({ args }, report) => {
+    if (!args[0]) {
+      report('missing-cta-text', 'CTA has no text: use [[cta | text]] or [[cta | text | start]]');
+    }
+    if (args[1] && !START_PAYLOAD.test(args[1])) {
+      report('invalid-cta-start', `CTA start payload "${args[1]}" must be 1-64 characters of A-Z, a-z, 0-9, _ and -`);
+    }
+  },
+  render: ({ text, start }, { page }) => {
+    const metadata = (page && page.metadata) || {};
+    if (!metadata.bot_link) return '';
+    const payload = START_PAYLOAD.test(start) ? start : '';
+    return HTML_TEMPLATES.cta({
+      text: escapeHtmlAttr(text),
+      botLink: escapeHtmlAttr(withStartPayload(metadata.bot_link, payload)),
+      maxBotLink: metadata.max_bot_link ? escapeHtmlAttr(withStartPayload(metadata.max_bot_link, payload)) : ''
+    });
+  }
+});
+
+// [[table | data/file.csv | alignment | highlighted row]]: CSV next to the markdown as a table.
+// Alignment is one letter per column (l, c, r), numeric columns go right by default;
+// the highlighted row is a 1-based data row number or "last". Missing files are reported by processMarkdownFile.
+registerBlock({
+  name: 'table',
+  hasClosingTag: false,
+  priority: 130,
+  parse: ({ args }) => ({ file: args[0] || '', align: args[1] || '', highlight: args[2] || '' }),
+  validate: ({ args }, report) => {
+    if (!args[0]) {
+      report('missing-table-file', 'Table has no CSV file: use [[table | data/file.csv]]');
+    }
+    if (args[1] && !/^[lcr\s]+$/i.test(args[1])) {
+      report('invalid-table-align', `Table alignment "${args[1]}" must be letters l, c or r, one per column`);
+    }
+    if (args[2] && !/^(?:[1-9]\d*|last)$/.test(args[2])) {
+      report('invalid-table-highlight', `Table highlighted row "${args[2]}" must be a row number or "last"`);
+    }
+  },
+  render: ({ file, align, highlight }, { page }) => {
+    if (!page) return '';
+    const { rows, error } = readCsvTable(file, page.dir);
+    if (error) return '';
+    const [header, ...dataRows] = rows;
+    const alignments = columnAlignments(rows, align);
+    const highlighted = highlight === 'last' ? dataRows.length : Number(highlight);
+    const cells = (row, tag) =>
+      alignments.map((columnAlign, column) => HTML_TEMPLATES.csvCell(tag, columnAlign, escapeHtmlAttr(formatNumberCell(row[column] || '')))).join('');
+    return HTML_TEMPLATES.csvTable(
+      cells(header, 'th'),
+      dataRows.map((row, index) => HTML_TEMPLATES.csvRow(cells(row, 'td'), index + 1 === highlighted)).join('')
+    );
+  }
+});
+
+// [[include | snippets/file.md]]: replaced by the snippet's nodes in expandIncludes() before rendering,
+// so an include that reaches the renderer (e.g. a broken path, already reported) renders nothing
+registerBlock({
+  name: 'include',
+  hasClosingTag: false,
+  priority: 140,
+  render: () => ''
+});
+
+// Downloadable files from docs/ next to the markdown: explicit "file | title | description"
+// rows, or the whole folder when the body is empty. Missing files are reported by processMarkdownFile.
+registerBlock({
+  name: 'documents',
+  priority: 100,
+  allowEmptyBody: true,
+  render: ({ body }, { page }) => {
+    if (!page) return '';
+    const itemsHtml = resolveDocuments(body, page.dir)
+      .filter((doc) => doc.exists)
+      .map((doc) =>
+        HTML_TEMPLATES.documentItem({
+          href: `../${documentOutputPath(page.assetBase, doc.file).split('/').map(encodeURIComponent).join('/')}`,
+          title: escapeHtmlAttr(doc.title),
+          typeLabel: doc.type.label,
+          typeKind: doc.type.kind,
+          size: formatFileSize(doc.size),
+          description: escapeHtmlAttr(doc.description)
+        })
+      )
+      .join('\n');
+    return itemsHtml ? HTML_TEMPLATES.documents(itemsHtml) : '';
+  }
+});
+
+/**
+ * Variables available to snippets as {{name}}: the page's scalar frontmatter plus
+ * project_title and project_slug.
+ * @param {Object} metadata - Page frontmatter
+ * @param {string} [slug]
+ * @returns {Object<string, string>}
+ */
+function includeVariables(metadata, slug) {
+  const variables = {};
+  for (const [key, value] of Object.entries(metadata || {})) {
+    if (['string', 'number', 'boolean'].includes(typeof value)) variables[key] = String(value);
+  }
+  if (metadata && metadata.title) variables.project_title = String(metadata.title);
+  if (slug) variables.project_slug = slug;
+  return variables;
+}
+
+/**
+ * Replaces [[include]] nodes, at any depth, with the parsed content of the included files.
+ * Snippets may include other snippets; their own frontmatter gives default variable values.
+ * @param {Array<object>} nodes - Parsed tree
+ * @param {object} options
+ * @param {string} [options.rootDir=INCLUDE_ROOT] - Folder include paths are relative to
+ * @param {Object<string, string>} [options.variables={}] - Values for {{name}} in snippets
+ * @param {Array<object>} [options.diagnostics=[]] - Receives include problems; snippet problems carry their file
+ * @param {string[]} [options.includes=[]] - Receives absolute paths of included files (for the dev watcher)
+ * @param {string[]} [options.stack=[]] - Files being expanded, outermost first, for cycle detection
+ * @returns {Array<object>}
+ */
+function expandIncludes(nodes, options = {}) {
+  const { rootDir = INCLUDE_ROOT, variables = {}, diagnostics = [], includes = [], stack = [] } = options;
+  const displayFile = (file) => path.relative(__dirname, file) || file;
+
+  return nodes.flatMap((node) => {
+    if (node.type !== 'block') return [node];
+    if (node.name !== 'include') return [{ ...node, children: expandIncludes(node.children, options) }];
+
+    const report = (code, message, severity = 'error') =>
+      diagnostics.push({ severity, code, message, line: node.line, column: node.column });
+    const file = (node.args[0] || '').replace(/\\/g, '/').replace(/^\.\//, '');
+    if (!file || path.isAbsolute(file) || file.split('/').includes('..')) {
+      report('invalid-include-path', `Include "${node.args[0] || ''}" must be a path inside src/, e.g. snippets/risks.md`);
+      return [];
+    }
+    const sourcePath = path.join(rootDir, file);
+    if (stack.includes(sourcePath)) {
+      report('include-cycle', `Include cycle: ${[...stack, sourcePath].map(displayFile).join(' → ')}`);
+      return [];
+    }
+    if (!fs.existsSync(sourcePath)) {
+      report('missing-include', `Include "${file}" not found in ${displayFile(rootDir)}/`);
+      return [];
+    }
+    if (!includes.includes(sourcePath)) includes.push(sourcePath);
+
+    const fileContent = fs.readFileSync(sourcePath, 'utf8');
+    const { data, content } = matter(fileContent);
+    const values = { ...includeVariables(data), ...variables };
+    const text = content.replace(/\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g, (match, name) => {
+      if (name in values) return values[name];
+      report('unknown-include-variable', `Variable {{${name}}} in "${file}" has no value in the page frontmatter`, 'warning');
+      return match;
+    });
+
+    const snippetDiagnostics = [];
+    const snippetNodes = parseBlocks(text, { firstLine: contentFirstLine(fileContent, content), diagnostics: snippetDiagnostics });
+    const expanded = expandIncludes(snippetNodes, { ...options, diagnostics: snippetDiagnostics, stack: [...stack, sourcePath] });
+    diagnostics.push(...snippetDiagnostics.map((diagnostic) => ({ file: displayFile(sourcePath), ...diagnostic })));
+    return expanded.map((child) => markSourceFile(child, displayFile(sourcePath)));
   });
 }
 
 /**
- * Processes custom blocks in markdown content
+ * Marks snippet nodes with the file they come from, so problems found while rendering
+ * point there. Nodes of nested snippets keep their own file.
+ * @param {object} node
+ * @param {string} file - Path relative to the repository root
+ * @returns {object}
+ */
+function markSourceFile(node, file) {
+  const withFile = { file, ...node };
+  if (node.type !== 'block') return withFile;
+  return { ...withFile, children: node.children.map((child) => markSourceFile(child, file)) };
+}
+
+/**
+ * Processes custom blocks in markdown content. Top-level markdown is left as is;
+ * use renderMarkdown() to get the whole document as HTML.
  * @param {string} content - Markdown content
+ * @param {object} [options] - Include options, see expandIncludes()
  * @returns {string} Processed content with custom blocks converted to HTML
  */
-function processCustomBlocks(content) {
-  let processed = content;
+function processCustomBlocks(content, options = {}) {
+  return expandIncludes(parseBlocks(content), options)
+    .map((node) => (node.type === 'markdown' ? node.text : hastToHtml(renderBlockTree(node))))
+    .join('\n');
+}
 
-  // Gallery and iframe before toggle (toggle body must not start with [[...]] or match breaks)
-  processed = processGalleryBlocks(processed);
-  processed = processProjectPassportBlocks(processed);
-  processed = processIframeBlocks(processed);
-  processed = processToggleBlocks(processed);
-  processed = processColumnBlocks(processed);
-  processed = processLegacyColumnBlocks(processed);
-  processed = processCalloutBlocks(processed);
+/**
+ * Converts markdown with custom blocks to HTML. Every markdown run, at any
+ * nesting level, is parsed exactly once; see markdown-ast.js.
+ * @param {string} content - Markdown content
+ * @param {object} [options]
+ * @param {number} [options.firstLine=1] - Line of the first content line in the file, for diagnostics
+ * @param {Array<object>} [options.diagnostics] - Receives block problems with their positions
+ * @returns {string} HTML
+ */
+function renderMarkdown(content, options = {}) {
+  return hastToHtml(renderTree(parseBlocks(content, options)));
+}
 
-  return processed;
+/**
+ * Returns the 1-based line where markdown content starts after frontmatter.
+ * @param {string} fileContent - Whole file
+ * @param {string} content - Content returned by gray-matter
+ * @returns {number}
+ */
+function contentFirstLine(fileContent, content) {
+  if (!content || !fileContent.endsWith(content)) return 1;
+  return fileContent.slice(0, fileContent.length - content.length).split('\n').length;
 }
 
 // Constants for responsive image sizes
@@ -226,25 +782,29 @@ const RESPONSIVE_SIZES = [
   { width: 1200, descriptor: '1200w' },
   { width: 1600, descriptor: '1600w' }
 ];
+const RESPONSIVE_SIZES_ATTR = '(max-width: 768px) 800px, (max-width: 1200px) 1200px, 1600px';
 
-// HTML templates for picture elements
-const PICTURE_TEMPLATES = {
-  responsive: (pathWithoutExt, ext, alt, loading, classAttr) => `<picture>
-  <source srcset="${pathWithoutExt}-800.avif 800w, ${pathWithoutExt}-1200.avif 1200w, ${pathWithoutExt}-1600.avif 1600w" sizes="(max-width: 768px) 800px, (max-width: 1200px) 1200px, 1600px" type="image/avif">
-  <source srcset="${pathWithoutExt}-800.webp 800w, ${pathWithoutExt}-1200.webp 1200w, ${pathWithoutExt}-1600.webp 1600w" sizes="(max-width: 768px) 800px, (max-width: 1200px) 1200px, 1600px" type="image/webp">
-  <img src="${pathWithoutExt}${ext}" alt="${alt}" loading="${loading}"${classAttr}>
-</picture>`,
-  standard: (pathWithoutExt, ext, alt, loading, classAttr) => `<picture>
-  <source srcset="${pathWithoutExt}.avif" type="image/avif">
-  <source srcset="${pathWithoutExt}.webp" type="image/webp">
-  <img src="${pathWithoutExt}${ext}" alt="${alt}" loading="${loading}"${classAttr}>
-</picture>`
-};
+// Modern formats offered by <picture>, best first
+const PICTURE_FORMATS = ['avif', 'webp'];
+
+/**
+ * Decodes the entities escapeHtmlAttr() and markdown renderers put into attribute values.
+ * @param {string} value
+ * @returns {string}
+ */
+function unescapeHtmlAttr(value) {
+  return String(value)
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
 
 /**
  * Extracts attributes from an img tag
  * @param {string} imgTag - The complete img tag
- * @returns {object} Object with extracted attributes
+ * @returns {{alt: string, loading: string, className?: string[]}} Decoded attribute values
  */
 function extractImageAttributes(imgTag) {
   const altMatch = imgTag.match(/alt="([^"]*)"/);
@@ -252,18 +812,19 @@ function extractImageAttributes(imgTag) {
   const classMatch = imgTag.match(/class="([^"]*)"/);
 
   return {
-    alt: altMatch ? altMatch[1] : '',
-    loading: loadingMatch ? loadingMatch[1] : 'lazy',
-    classAttr: classMatch ? ` class="${classMatch[1]}"` : ''
+    alt: altMatch ? unescapeHtmlAttr(altMatch[1]) : '',
+    loading: loadingMatch ? unescapeHtmlAttr(loadingMatch[1]) : 'lazy',
+    ...(classMatch ? { className: unescapeHtmlAttr(classMatch[1]).split(/\s+/).filter(Boolean) } : {})
   };
 }
 
 /**
  * Checks if responsive versions of an image exist
  * @param {string} pathWithoutExt - Image path without extension
+ * @param {string[]} [checkedFiles] - Receives the path looked up, so the page cache notices when it appears
  * @returns {boolean} True if responsive versions exist
  */
-function hasResponsiveVersions(pathWithoutExt) {
+function hasResponsiveVersions(pathWithoutExt, checkedFiles = []) {
   const isDev = process.env.NODE_ENV !== 'production';
   // In dev mode, check .image-cache/assets. In production, check dist/assets/
   const checkDir = isDev
@@ -273,6 +834,7 @@ function hasResponsiveVersions(pathWithoutExt) {
   // pathWithoutExt: "projects/slug/images/..." (URL segments, forward slashes)
   const normalized = pathWithoutExt.replace(/^\/+/, '');
   const responsiveWebpPath = path.join(checkDir, `${normalized}-800.webp`);
+  checkedFiles.push(responsiveWebpPath);
 
   try {
     return fs.existsSync(responsiveWebpPath);
@@ -284,57 +846,202 @@ function hasResponsiveVersions(pathWithoutExt) {
 /**
  * Creates a picture element for an image with modern format support
  * @param {string} basePath - Base path to the image
- * @param {object} attrs - Image attributes (alt, loading, classAttr)
- * @returns {string} HTML picture element
+ * @param {{alt: string, loading: string, className?: string[], dimensions?: import('./image-dimensions').ImageDimensions|null}} attrs - Image attributes;
+ *   dimensions of the source image become width, height and aspect-ratio on the <img>, its placeholder
+ *   the background of the <picture> until the image has loaded (see initContentPicturePlaceholders in common.js)
+ * @param {string[]} [checkedFiles] - See hasResponsiveVersions()
+ * @returns {object} hast <picture> element
  */
-function createPictureElement(basePath, attrs) {
+function createPictureElement(basePath, attrs, checkedFiles) {
   const ext = path.extname(basePath);
   const pathWithoutExt = basePath.replace(/\.[^.]+$/, '');
-  const hasResponsive = hasResponsiveVersions(pathWithoutExt);
+  const hasResponsive = hasResponsiveVersions(pathWithoutExt, checkedFiles);
 
-  const prefix = '../assets/';
+  const prefixed = `../assets/${pathWithoutExt}`;
+  const sources = PICTURE_FORMATS.map((format) => ({
+    type: 'element',
+    tagName: 'source',
+    properties: hasResponsive
+      ? {
+          srcSet: RESPONSIVE_SIZES.map(({ width, descriptor }) => `${prefixed}-${width}.${format} ${descriptor}`).join(', '),
+          sizes: RESPONSIVE_SIZES_ATTR,
+          type: `image/${format}`
+        }
+      : { srcSet: `${prefixed}.${format}`, type: `image/${format}` },
+    children: []
+  }));
+  const img = {
+    type: 'element',
+    tagName: 'img',
+    properties: {
+      src: `${prefixed}${ext}`,
+      alt: attrs.alt,
+      ...(attrs.dimensions ? dimensionAttributes(attrs.dimensions) : {}),
+      loading: attrs.loading,
+      ...(attrs.className ? { className: attrs.className } : {})
+    },
+    children: []
+  };
+
+  const placeholder = attrs.dimensions && attrs.dimensions.placeholder;
+
+  // Indented one element per line, as the page templates are written
+  return {
+    type: 'element',
+    tagName: 'picture',
+    properties: placeholder
+      ? { className: ['content-picture-placeholder'], style: `background-image: url(${placeholder})` }
+      : {},
+    children: [...sources, img].flatMap((child) => [{ type: 'text', value: '\n  ' }, child]).concat({ type: 'text', value: '\n' })
+  };
+}
 
-  return hasResponsive
-    ? PICTURE_TEMPLATES.responsive(prefix + pathWithoutExt, ext, attrs.alt, attrs.loading, attrs.classAttr)
-    : PICTURE_TEMPLATES.standard(prefix + pathWithoutExt, ext, attrs.alt, attrs.loading, attrs.classAttr);
+/**
+ * @param {string} src
+ * @returns {boolean} True for images next to the markdown (images/... or ./images/...)
+ */
+function isProjectImage(src) {
+  return src.startsWith('images/') || src.startsWith('./images/');
+}
+
+/**
+ * File of a project image on disk, with URL escapes decoded.
+ * @param {string} dir - Folder of the markdown file
+ * @param {string} src - images/... or ./images/...
+ * @returns {string}
+ */
+function projectImagePath(dir, src) {
+  const rel = src.replace(/^\.\//, '');
+  try {
+    return path.join(dir, decodeURIComponent(rel));
+  } catch (error) {
+    return path.join(dir, rel);
+  }
+}
+
+/** Sources of <img> tags in block markup and raw HTML */
+const IMG_SRC_RE = /<img[^>]*?src="([^"]*)"/g;
+
+/**
+ * Reads the sizes of all project images on a page into the dimensions manifest, so the
+ * synchronous rewriteImages() finds them there.
+ * @param {object} tree - hast root of the page
+ * @param {string} dir - Folder of the markdown file
+ * @param {import('./image-dimensions').DimensionsManifest} dimensions
+ * @returns {Promise<void>}
+ */
+async function loadImageDimensions(tree, dir, dimensions) {
+  const sources = [];
+  visitTree(tree, (node) => {
+    if (node.type === 'raw') {
+      sources.push(...[...node.value.matchAll(IMG_SRC_RE)].map((match) => unescapeHtmlAttr(match[1])));
+    } else if (node.type === 'element' && node.tagName === 'img') {
+      sources.push(String(node.properties.src || ''));
+    }
+  });
+  await dimensions.load(sources.filter(isProjectImage).map((src) => projectImagePath(dir, src)));
 }
 
 /**
  * Fixes image paths in HTML content and adds modern format support
  * @param {string} html - HTML content
  * @param {string} projectSlug - Project slug
+ * @param {string[]} [checkedFiles] - Receives the responsive image paths looked up
+ * @param {(src: string) => import('./image-dimensions').ImageDimensions|null} [sizeOf] - Size of the image behind a src
  * @returns {string} HTML with fixed image paths and modern formats
  */
-function fixImagePaths(html, projectSlug) {
-  return html.replace(/<img([^>]*?)src="([^"]*)"([^>]*?)>/g, (match, beforeSrc, src, afterSrc) => {
+function fixImagePaths(html, projectSlug, checkedFiles, sizeOf = () => null) {
+  return html.replace(/<img([^>]*?)src="([^"]*)"([^>]*?)>/g, (match, beforeSrc, src) => {
     // Only process relative paths that start with images/ — URL relative to /projects/{slug}.html → {slug}/images/...
-    if (src.startsWith('images/') || src.startsWith('./images/')) {
+    if (isProjectImage(src)) {
       const rel = src.replace(/^\.\//, '');
       const basePath = `projects/${projectSlug}/${rel}`;
-      const attrs = extractImageAttributes(match);
-      return createPictureElement(basePath, attrs);
+      const attrs = { ...extractImageAttributes(match), dimensions: sizeOf(unescapeHtmlAttr(src)) };
+      return hastToHtml(createPictureElement(basePath, attrs, checkedFiles));
     }
     return match;
   });
 }
 
 /**
- * Enhances HTML content with additional styling and features
- * @param {string} html - Raw HTML content
- * @returns {string} Enhanced HTML content
+ * Replaces project images in a rendered page with <picture> elements. Images missing next to
+ * the markdown are reported at their source line. Block markup and raw HTML (`raw` nodes) go
+ * through fixImagePaths().
+ * @param {object} tree - hast root of the page
+ * @param {{dir: string, slug: string}} page
+ * @param {object} options
+ * @param {string[]} options.checkedFiles - Receives every image path looked up, for the page cache
+ * @param {(code: string, message: string, severity: 'error'|'warning', node: object) => void} options.report
+ * @param {import('./image-dimensions').DimensionsManifest} [options.dimensions] - Image sizes, see loadImageDimensions()
+ * @returns {object} The same tree
  */
-function enhanceHtmlContent(html) {
-  let enhanced = html;
+function rewriteImages(tree, page, { checkedFiles, report, dimensions = null }) {
+  const sizeOf = (src) => (dimensions ? dimensions.get(projectImagePath(page.dir, src)) : null);
+  return transformTree(tree, (node) => {
+    if (node.type === 'raw') return [{ ...node, value: fixImagePaths(node.value, page.slug, checkedFiles, sizeOf) }];
+    if (node.type !== 'element' || node.tagName !== 'img') return undefined;
+    const src = String(node.properties.src || '');
+    if (!isProjectImage(src)) return undefined;
+
+    const rel = src.replace(/^\.\//, '');
+    const sourcePath = projectImagePath(page.dir, src);
+    checkedFiles.push(sourcePath);
+    if (!fs.existsSync(sourcePath)) {
+      report('missing-image', `Image "${src}" not found`, 'warning', node);
+    }
 
-  // Add classes to tables and wrap in scrollable containers
-  enhanced = enhanced.replace(/<table>/g, '<div class="content-table-container"><table class="content-table">');
-  enhanced = enhanced.replace(/<\/table>/g, '</table></div>');
+    const { alt = '', loading = 'lazy', className } = node.properties;
+    const picture = createPictureElement(`projects/${page.slug}/${rel}`, { alt, loading, className, dimensions: sizeOf(src) }, checkedFiles);
+    return [{ ...picture, position: node.position, data: node.data }];
+  });
+}
 
-  enhanced = enhanced.replace(/href="(https?:\/\/t\.me\/[^"]+)"/gi, (match, url) => {
-    return `href="${tmeToTg(url)}"`;
+/**
+ * Gives tables the content-table class inside a scrollable content-table-container.
+ * Tables in block markup and raw HTML are matched as bare <table> tags.
+ * @param {object} tree - hast root of the page
+ * @returns {object} The same tree
+ */
+function wrapTables(tree) {
+  return transformTree(tree, (node) => {
+    if (node.type === 'raw') {
+      const value = node.value
+        .replace(/<table>/g, '<div class="content-table-container"><table class="content-table">')
+        .replace(/<\/table>/g, '</table></div>');
+      return [{ ...node, value }];
+    }
+    if (node.type !== 'element' || node.tagName !== 'table') return undefined;
+    const table = { ...node, properties: { ...node.properties, className: ['content-table'] } };
+    return [{ type: 'element', tagName: 'div', properties: { className: ['content-table-container'] }, children: [table], position: node.position }];
   });
+}
 
-  return enhanced;
+/**
+ * Turns https://t.me/... links into tg:// deep links, see telegram-links.js.
+ * @param {object} tree - hast root of the page
+ * @returns {object} The same tree
+ */
+function rewriteTelegramLinks(tree) {
+  return transformTree(tree, (node) => {
+    if (node.type === 'raw') {
+      return [{ ...node, value: node.value.replace(/href="(https?:\/\/t\.me\/[^"]+)"/gi, (match, url) => `href="${tmeToTg(url)}"`) }];
+    }
+    if (node.type === 'element' && node.tagName === 'a' && /^https?:\/\/t\.me\//i.test(node.properties.href || '')) {
+      node.properties.href = tmeToTg(node.properties.href);
+    }
+    return undefined;
+  });
+}
+
+/**
+ * Enhances HTML content with additional styling and features
+ * @param {string} html - Page HTML after typography
+ * @returns {string} Enhanced HTML content
+ */
+function enhanceHtmlContent(html) {
+  // Heading IDs with "copy link" anchors, then [[toc]] built from them
+  const { html: anchored, headings } = addHeadingAnchors(html);
+  return fillTocMarkers(anchored, headings);
 }
 
 /**
@@ -356,9 +1063,16 @@ function normalizeTelegramMetadata(metadata) {
  * Processes a markdown file and returns HTML and metadata
  * @param {string} filePath - Path to the markdown file
  * @param {string} projectSlug - Project slug for image path resolution
- * @returns {Promise<{html: string, metadata: Object}>} Processed content
+ * @param {object} [options]
+ * @param {'project'|'legal'} [options.pageType='project'] - Frontmatter schema to validate against
+ * @returns {Promise<{html: string, metadata: Object, diagnostics: import('./markdown-diagnostics').Diagnostic[], documents: Array<{sourcePath: string, fileName: string}>, includes: string[], dependencies: string[]}>} Processed content;
+ *   metadata.kpis holds the {label, value, hint} rows of all [[kpi]] blocks;
+ *   metadata.faq holds the {question, answer} plain-text pairs of all [[toggle]] blocks;
+ *   documents lists the [[documents]] files to emit as {sourcePath, fileName} (fileName relative to dist);
+ *   includes lists the absolute paths of [[include]] snippets, for the dev watcher;
+ *   dependencies lists every file and folder the HTML was built from, the markdown file included, for the page cache
  */
-async function processMarkdownFile(filePath, projectSlug) {
+async function processMarkdownFile(filePath, projectSlug, { pageType = 'project' } = {}) {
   try {
     const displayPath = path.relative(__dirname, filePath) || filePath;
     console.log(`[build-markdown] ${displayPath}`);
@@ -366,21 +1080,107 @@ async function processMarkdownFile(filePath, projectSlug) {
     // Read and parse file
     const fileContent = fs.readFileSync(filePath, 'utf8');
     const { data: metadata, content } = matter(fileContent);
-    const normalizedMetadata = normalizeTelegramMetadata(metadata || {});
+    const normalizedMetadata = typographFrontmatter(normalizeTelegramMetadata(metadata || {}));
+
+    // Validate frontmatter, then convert markdown and custom blocks to HTML, collecting malformed blocks
+    const diagnostics = validateFrontmatter(metadata || {}, { pageType, fileContent });
+    // Shared snippets from [[include]] are spliced in before anything reads the tree
+    const includes = [];
+    const nodes = expandIncludes(
+      parseBlocks(content, { firstLine: contentFirstLine(fileContent, content), diagnostics }),
+      { variables: includeVariables(normalizedMetadata, projectSlug), diagnostics, includes, stack: [filePath] }
+    );
+    const page = {
+      dir: path.dirname(filePath),
+      slug: projectSlug,
+      assetBase: pageType === 'legal' ? 'legal' : `projects/${projectSlug}`,
+      metadata: normalizedMetadata,
+      // Filled by [[toggle]] while the tree renders: {question, inner} with the body element
+      toggles: []
+    };
+    const dependencies = [filePath, ...includes];
 
-    // Process custom blocks and convert to HTML
-    const processedContent = processCustomBlocks(content);
-    const rawHtml = marked.parse(processedContent);
+    // Page as one HTML tree: images, tables and Telegram links are rewritten on its elements,
+    // problems are reported at the markdown line (and snippet file) the element came from
+    const tree = renderTree(nodes, { page });
+    const report = (code, message, severity, node) =>
+      diagnostics.push({ severity, code, message, ...sourcePosition(node) });
+    // Sizes are read (or taken from the manifest) up front, so every <img> reserves its box
+    const dimensions = getDimensionsManifest();
+    await loadImageDimensions(tree, page.dir, dimensions);
+    rewriteImages(tree, page, { checkedFiles: dependencies, report, dimensions });
+    wrapTables(tree);
+    rewriteTelegramLinks(tree);
+    // Last, so the markup added above is checked too; every removal is a warning at its line
+    sanitizeTree(tree, (code, message, node) => report(code, message, 'warning', node));
+
+    // Typography runs on the whole page so block output is covered too; code and attributes are kept
+    const rawHtml = typographHtml(hastToHtml(tree));
+
+    // Files of [[documents]] blocks; a missing file is an error so the build fails
+    const documents = [];
+    for (const node of findBlockNodes(nodes, 'documents')) {
+      const entries = resolveDocuments(node.body, page.dir);
+      // An empty body lists the docs/ folder, so adding a file there changes the page
+      if (!node.body.trim()) dependencies.push(path.join(page.dir, 'docs'));
+      dependencies.push(...entries.map((entry) => entry.sourcePath));
+      if (entries.length === 0) {
+        diagnostics.push({ severity: 'error', code: 'empty-documents', message: 'Block [[documents]] lists no files and docs/ is empty', line: node.line, column: node.column });
+      }
+      for (const entry of entries) {
+        if (entry.error) {
+          diagnostics.push({ severity: 'error', code: 'missing-document', message: entry.error, line: node.line, column: node.column });
+        } else {
+          documents.push({ sourcePath: entry.sourcePath, fileName: documentOutputPath(page.assetBase, entry.file) });
+        }
+      }
+    }
 
-    // Enhance HTML with additional features
-    const enhancedHtml = enhanceHtmlContent(rawHtml);
+    // Key figures from [[kpi]] blocks, for templates and other pages
+    normalizedMetadata.kpis = findBlockNodes(nodes, 'kpi')
+      .flatMap((node) => parseKpiRows(node.body))
+      .filter(({ label, value }) => label && value);
 
-    // Fix image paths for modern formats
-    const finalHtml = fixImagePaths(enhancedHtml, projectSlug);
+    for (const node of findBlockNodes(nodes, 'table')) {
+      if (!node.args[0]) continue;
+      const { error, sourcePath } = readCsvTable(node.args[0], page.dir);
+      dependencies.push(sourcePath);
+      if (error) {
+        diagnostics.push({ severity: 'error', code: 'invalid-csv-table', message: error, line: node.line, column: node.column });
+      }
+    }
+
+    if (!normalizedMetadata.bot_link) {
+      for (const node of findBlockNodes(nodes, 'cta')) {
+        diagnostics.push({ severity: 'error', code: 'cta-without-bot-link', message: 'Block [[cta]] needs bot_link in the frontmatter', line: node.line, column: node.column });
+      }
+    }
+
+    if (!/<h[23]>/.test(rawHtml)) {
+      for (const node of findBlockNodes(nodes, 'toc')) {
+        diagnostics.push({ severity: 'warning', code: 'empty-toc', message: 'Block [[toc]] has no H2/H3 headings to list', line: node.line, column: node.column });
+      }
+    }
+
+    // FAQ from [[toggle | question]] blocks, emitted as FAQPage JSON-LD on project pages; answers are
+    // the toggle bodies of the page tree, so images, links and sanitising match the visible text
+    normalizedMetadata.faq = page.toggles
+      .map(({ question, inner }) => ({
+        question: htmlToPlainText(typographHtml(question)),
+        answer: htmlToPlainText(typographHtml(hastToHtml(inner)))
+      }))
+      .filter(({ question, answer }) => question && answer);
+
+    // Heading anchors and [[toc]] work on the final text, after typography
+    const finalHtml = enhanceHtmlContent(rawHtml);
 
     return {
       html: finalHtml,
-      metadata: normalizedMetadata
+      metadata: normalizedMetadata,
+      diagnostics: diagnostics.map((diagnostic) => ({ file: displayPath, ...diagnostic })),
+      documents,
+      includes,
+      dependencies: [...new Set(dependencies)]
     };
 
   } catch (error) {
@@ -397,6 +1197,16 @@ async function processMarkdownFile(filePath, projectSlug) {
  * @property {string} imagesPath - Path to the images directory
  */
 
+/**
+ * Legal pages rendered from markdown; md paths are relative to src/
+ * @type {Array<{slug: string, md: string}>}
+ */
+const LEGAL_PAGES = [
+  { slug: 'events', md: 'legal/events.md' },
+  { slug: 'privacy', md: 'legal/privacy.md' },
+  { slug: 'community-rules', md: 'legal/community-rules.md' }
+];
+
 /**
  * Finds all valid projects in the src/projects directory
  * @returns {ProjectInfo[]} Array of project information objects
@@ -449,9 +1259,10 @@ function findProjects() {
 module.exports = {
   processMarkdownFile,
   findProjects,
+  LEGAL_PAGES,
   processCustomBlocks,
+  renderMarkdown,
   fixImagePaths,
-  processGalleryBlocks,
-  processProjectPassportBlocks,
-  processIframeBlocks
+  registerBlock,
+  unregisterBlock
 };
\ No newline at end of file
@@ -0,0 +1,144 @@
+/**
+ * CSV files behind [[table | data/file.csv]]: parsing (comma or semicolon separated, as Excel
+ * exports them), number formatting and column alignment. The table HTML is built in build-markdown.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { UNITS } = require('./russian-typography');
+
+const NBSP = '\u00a0';
+
+/**
+ * A plain number with an optional unit from the typograph's list: "1500000", "-12,5", "1 200 000 ₽",
+ * "8.5%". Other words after a number ("12 мая", "3 корпус") keep the cell textual.
+ */
+const NUMBER_CELL = new RegExp(`^(-|−)?(\\d{1,3}(?:[ \u00a0]\\d{3})+|\\d+)(?:[.,](\\d+))?(\\s*(?:${UNITS}))?$`);
+
+/** Alignment letters of the optional second argument: "lrr", "l c r" */
+const ALIGN_LETTERS = { l: 'left', c: 'center', r: 'right' };
+
+/**
+ * Detects the separator from the header line: semicolon for Russian Excel exports, comma otherwise.
+ * @param {string} text
+ * @returns {','|';'}
+ */
+function detectDelimiter(text) {
+  const header = text.split('\n', 1)[0].replace(/"[^"]*"/g, '');
+  return (header.match(/;/g) || []).length > (header.match(/,/g) || []).length ? ';' : ',';
+}
+
+/**
+ * Parses CSV (RFC 4180 quoting, CRLF or LF, optional BOM). Blank lines are skipped.
+ * @param {string} text
+ * @returns {string[][]} Rows of trimmed cells
+ */
+function parseCsv(text) {
+  const source = String(text || '').replace(/^\ufeff/, '');
+  const delimiter = detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      if (row.some(Boolean)) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  if (row.some(Boolean)) rows.push(row);
+  return rows;
+}
+
+/**
+ * @param {string} cell
+ * @returns {boolean}
+ */
+function isNumberCell(cell) {
+  return NUMBER_CELL.test(cell);
+}
+
+/**
+ * Formats a number cell the Russian way: decimal comma, non-breaking thousand separators
+ * from five digits on (four-digit numbers and years stay as they are), a non-breaking space before a unit written with a space.
+ * Other cells are returned unchanged.
+ * @param {string} cell
+ * @returns {string}
+ */
+function formatNumberCell(cell) {
+  const match = cell.match(NUMBER_CELL);
+  if (!match) return cell;
+  const [, minus, integerText, fraction, unit] = match;
+  const digits = integerText.replace(/[ \u00a0]/g, '');
+  const integer = digits.length > 4 ? digits.replace(/\B(?=(\d{3})+$)/g, NBSP) : digits;
+  const unitText = unit ? `${/^\s/.test(unit) ? NBSP : ''}${unit.trim()}` : '';
+  return `${minus ? '−' : ''}${integer}${fraction ? `,${fraction}` : ''}${unitText}`;
+}
+
+/**
+ * Column alignment: explicit letters win, otherwise columns whose data cells are all numbers go right.
+ * @param {string[][]} rows - Header first
+ * @param {string} [spec] - e.g. "lrr"; spaces are ignored
+ * @returns {Array<'left'|'center'|'right'>}
+ */
+function columnAlignments(rows, spec = '') {
+  const letters = spec.replace(/\s+/g, '').toLowerCase();
+  const width = Math.max(0, ...rows.map((row) => row.length));
+  return Array.from({ length: width }, (unused, column) => {
+    if (ALIGN_LETTERS[letters[column]]) return ALIGN_LETTERS[letters[column]];
+    const cells = rows.slice(1).map((row) => row[column] || '').filter(Boolean);
+    return cells.length && cells.every(isNumberCell) ? 'right' : 'left';
+  });
+}
+
+/**
+ * Reads the CSV of a [[table]] block, relative to the markdown file.
+ * @param {string} file - e.g. "data/rent.csv"
+ * @param {string} pageDir - Folder of the markdown file
+ * @returns {{rows: string[][], sourcePath: string, error: string|null}}
+ */
+function readCsvTable(file, pageDir) {
+  const normalized = String(file || '').trim().replace(/\\/g, '/').replace(/^\.\//, '');
+  const sourcePath = path.join(pageDir || '', normalized);
+  if (!normalized || path.isAbsolute(normalized) || normalized.split('/').includes('..')) {
+    return { rows: [], sourcePath, error: `Table "${file}" must be a path inside the page folder` };
+  }
+  if (!fs.existsSync(sourcePath)) {
+    return { rows: [], sourcePath, error: `Table "${file}" not found next to the markdown file` };
+  }
+  const rows = parseCsv(fs.readFileSync(sourcePath, 'utf8'));
+  if (rows.length < 2) {
+    return { rows, sourcePath, error: `Table "${file}" needs a header row and at least one data row` };
+  }
+  return { rows, sourcePath, error: null };
+}
+
+module.exports = {
+  parseCsv,
+  isNumberCell,
+  formatNumberCell,
+  columnAlignments,
+  readCsvTable
+};
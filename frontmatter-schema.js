@@ -0,0 +1,124 @@
+/**
+ * Declarative frontmatter schemas for markdown page types and their validation.
+ * Problems are reported as diagnostics (see markdown-diagnostics.js):
+ * missing, mistyped or malformed keys are errors, unknown keys are warnings.
+ */
+
+/**
+ * @typedef {object} FieldSchema
+ * @property {'string'|'number'|'boolean'|'array'|'object'} type
+ * @property {boolean} [required=false] - Must be present and not empty
+ * @property {keyof FORMATS} [format] - Extra check for string values
+ */
+
+/** String formats, each with a test and a hint for the error message */
+const FORMATS = {
+  'telegram-link': {
+    test: (value) => /^tg:\/\/resolve\?domain=[A-Za-z0-9_]+/.test(value) || /^https:\/\/t\.me\/[A-Za-z0-9_]+/.test(value),
+    hint: 'tg://resolve?domain=<bot> or https://t.me/<bot>'
+  },
+  'max-link': {
+    test: (value) => /^https:\/\/max\.ru\/[A-Za-z0-9_]+(?:\?|$)/.test(value),
+    hint: 'https://max.ru/<bot>?start=<payload>'
+  },
+  url: {
+    test: (value) => /^(?:https:\/\/|tg:\/\/)\S+$/.test(value),
+    hint: 'an https:// or tg:// URL'
+  }
+};
+
+/** @type {Object<string, Object<string, FieldSchema>>} */
+const FRONTMATTER_SCHEMAS = {
+  project: {
+    title: { type: 'string', required: true },
+    slug: { type: 'string' },
+    bot_link: { type: 'string', required: true, format: 'telegram-link' },
+    max_bot_link: { type: 'string', format: 'max-link' },
+    hero_badge: { type: 'string' },
+    cta_heading: { type: 'string' },
+    cta_text: { type: 'string' },
+    cta_choice_text: { type: 'string' },
+    // false turns off the FAQPage JSON-LD built from [[toggle]] blocks
+    faq_schema: { type: 'boolean' }
+  },
+  legal: {
+    title: { type: 'string', required: true },
+    description: { type: 'string', required: true },
+    hero_badge: { type: 'string' },
+    cta_link: { type: 'string', format: 'url' },
+    cta_button: { type: 'string' },
+    cta_heading: { type: 'string' },
+    cta_text: { type: 'string' }
+  }
+};
+
+/**
+ * @param {*} value
+ * @returns {string} Schema type name of a parsed YAML value
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Finds the 1-based line of a top-level key in the frontmatter block.
+ * @param {string} fileContent
+ * @param {string} key
+ * @returns {number} 1 when the key is not written in the file
+ */
+function findKeyLine(fileContent, key) {
+  const lines = fileContent.split(/\r?\n/);
+  const end = lines.indexOf('---', 1);
+  const index = lines.slice(0, end === -1 ? lines.length : end).findIndex((line) => line.startsWith(`${key}:`));
+  return index === -1 ? 1 : index + 1;
+}
+
+/**
+ * Validates parsed frontmatter against the schema of a page type.
+ * @param {Object} metadata - Parsed frontmatter
+ * @param {object} options
+ * @param {string} options.pageType - Key of FRONTMATTER_SCHEMAS
+ * @param {string} [options.fileContent=''] - Whole file, used to locate keys
+ * @returns {import('./markdown-diagnostics').Diagnostic[]}
+ */
+function validateFrontmatter(metadata, { pageType, fileContent = '' }) {
+  const schema = FRONTMATTER_SCHEMAS[pageType];
+  if (!schema) {
+    throw new Error(`Unknown page type "${pageType}", expected one of: ${Object.keys(FRONTMATTER_SCHEMAS).join(', ')}`);
+  }
+
+  const diagnostics = [];
+  const report = (severity, code, key, message) => {
+    diagnostics.push({ severity, code, message, line: findKeyLine(fileContent, key), column: 1 });
+  };
+
+  for (const [key, field] of Object.entries(schema)) {
+    const value = metadata[key];
+    if (value === undefined || value === null || value === '') {
+      if (field.required) report('error', 'missing-frontmatter-key', key, `Frontmatter key "${key}" is required for ${pageType} pages`);
+      continue;
+    }
+    if (typeOf(value) !== field.type) {
+      report('error', 'invalid-frontmatter-type', key, `Frontmatter key "${key}" must be a ${field.type}, got ${typeOf(value)}`);
+      continue;
+    }
+    if (field.format && !FORMATS[field.format].test(value)) {
+      report('error', 'invalid-frontmatter-format', key, `Frontmatter key "${key}" has value "${value}", expected ${FORMATS[field.format].hint}`);
+    }
+  }
+
+  for (const key of Object.keys(metadata)) {
+    if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+      report('warning', 'unknown-frontmatter-key', key, `Unknown frontmatter key "${key}" for ${pageType} pages`);
+    }
+  }
+
+  return diagnostics;
+}
+
+module.exports = {
+  FRONTMATTER_SCHEMAS,
+  validateFrontmatter
+};
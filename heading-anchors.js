@@ -0,0 +1,133 @@
+/**
+ * Stable IDs for H2/H3 headings of rendered markdown, their "copy link" anchors
+ * and the nested table of contents inserted by [[toc]].
+ */
+
+/** Russian letters to Latin, close to the passport (ICAO) transliteration people type in URLs */
+const TRANSLIT = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i', й: 'y',
+  к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f',
+  х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya'
+};
+
+/**
+ * Marker rendered by [[toc]] and replaced once all headings are known. The sanitiser removes
+ * comments written in the markdown, so only the block can produce one.
+ */
+const TOC_MARKER = /<!--content-toc:([^>]*?)-->/g;
+
+/**
+ * @typedef {object} Heading
+ * @property {2|3} level
+ * @property {string} id
+ * @property {string} html - Heading content as rendered from markdown
+ */
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Transliterated slug of a heading: "5. Порядок оплаты" → "5-poryadok-oplaty".
+ * @param {string} text - Heading text, tags are ignored
+ * @returns {string} Never empty: falls back to "section"
+ */
+function slugifyHeading(text) {
+  const slug = String(text || '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&[a-z]+;|&#x?[0-9a-f]+;/gi, ' ')
+    .toLowerCase()
+    .replace(/[а-яё]/g, (letter) => TRANSLIT[letter])
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug || 'section';
+}
+
+/**
+ * Adds IDs and "copy link" anchors to the plain <h2>/<h3> rendered from markdown.
+ * Repeated headings get "-2", "-3"… suffixes in document order.
+ * @param {string} html
+ * @returns {{html: string, headings: Heading[]}}
+ */
+function addHeadingAnchors(html) {
+  const headings = [];
+  const used = new Map();
+  const anchored = html.replace(/<h([23])>([\s\S]*?)<\/h\1>/g, (match, level, content) => {
+    const base = slugifyHeading(content);
+    const count = (used.get(base) || 0) + 1;
+    used.set(base, count);
+    const id = count === 1 ? base : `${base}-${count}`;
+    headings.push({ level: Number(level), id, html: content });
+    return `<h${level} id="${id}">${content}<a class="content-heading-anchor" href="#${id}" aria-label="Скопировать ссылку на раздел">#</a></h${level}>`;
+  });
+  return { html: anchored, headings };
+}
+
+/**
+ * hast comment node the [[toc]] block leaves in the page. The title is URI-encoded, so it
+ * cannot end the comment early.
+ * @param {string} title - Plain text
+ * @returns {object}
+ */
+function tocMarker(title) {
+  return { type: 'comment', value: `content-toc:${encodeURIComponent(title)}` };
+}
+
+/**
+ * Nested list of H2 with their H3; an H3 before the first H2 stays at the top level.
+ * @param {string} title - Plain text, escaped here
+ * @param {Heading[]} headings
+ * @returns {string}
+ */
+function renderToc(title, headings) {
+  const items = [];
+  for (const heading of headings) {
+    const parent = items[items.length - 1];
+    if (heading.level === 3 && parent && parent.heading.level === 2) {
+      parent.children.push(heading);
+    } else {
+      items.push({ heading, children: [] });
+    }
+  }
+  const link = ({ id, html }) => `<a href="#${id}">${html.replace(/<\/?a\b[^>]*>/g, '')}</a>`;
+  const list = items
+    .map(({ heading, children }) => {
+      const nested = children.length
+        ? `<ol class="content-toc-sublist">${children.map((child) => `<li>${link(child)}</li>`).join('')}</ol>`
+        : '';
+      return `<li>${link(heading)}${nested}</li>`;
+    })
+    .join('');
+  const titleHtml = escapeHtml(title);
+  return `<nav class="content-toc" aria-label="${titleHtml}">\n<p class="content-toc-title">${titleHtml}</p>\n<ol class="content-toc-list">${list}</ol>\n</nav>`;
+}
+
+/**
+ * Replaces [[toc]] markers with the table of contents of the page's headings.
+ * @param {string} html
+ * @param {Heading[]} headings
+ * @returns {string}
+ */
+function fillTocMarkers(html, headings) {
+  return html.replace(TOC_MARKER, (match, encodedTitle) => {
+    if (!headings.length) return '';
+    let title = encodedTitle;
+    try {
+      title = decodeURIComponent(encodedTitle);
+    } catch (error) {
+      // Not written by tocMarker(): shown as is, still escaped
+    }
+    return renderToc(title, headings);
+  });
+}
+
+module.exports = {
+  slugifyHeading,
+  addHeadingAnchors,
+  tocMarker,
+  fillTocMarkers
+};
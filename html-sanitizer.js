@@ -0,0 +1,329 @@
+/**
+ * Allowlist sanitiser for the rendered page tree. Markdown is written by content editors, so
+ * anything outside the lists below is removed and reported: unknown tags (script, style and
+ * similar together with their content), attributes such as inline event handlers, classes other
+ * than ours and URLs with schemes other than https:, tg: and mailto: (e.g. javascript: links).
+ *
+ * Elements built from markdown are checked through their properties; block markup and raw HTML
+ * in the markdown arrive as `raw` strings and are checked tag by tag. Comments in raw HTML are
+ * removed too: the page's own markers are comment nodes added by the blocks.
+ */
+
+const { findIframeHost } = require('./iframe-allowlist');
+
+/** Elements markdown and the built-in blocks produce */
+const ALLOWED_TAGS = [
+  'a', 'abbr', 'aside', 'b', 'blockquote', 'br', 'button', 'caption', 'code', 'dd', 'del', 'details', 'div', 'dl',
+  'dt', 'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'iframe', 'img', 'input', 'ins',
+  'kbd', 'li', 'mark', 'ol', 'p', 'picture', 'pre', 's', 'section', 'small', 'source', 'span', 'strong', 'sub',
+  'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul'
+];
+
+/** Elements removed together with their content; other unknown elements keep their content */
+const DROPPED_WITH_CONTENT = [
+  'applet', 'embed', 'frame', 'frameset', 'noembed', 'noscript', 'object', 'plaintext', 'script', 'select', 'style',
+  'template', 'textarea', 'title', 'xmp'
+];
+
+/** Attributes allowed on every element, besides aria-* */
+const GLOBAL_ATTRIBUTES = ['class', 'id', 'title', 'role', 'lang', 'dir'];
+
+/** Attributes allowed on particular elements */
+const TAG_ATTRIBUTES = {
+  a: ['href', 'target', 'rel', 'download', 'data-footnote-ref', 'data-footnote-backref'],
+  button: ['type'],
+  details: ['open'],
+  div: ['style', 'data-video-src', 'data-video-title', 'data-video-sandbox', 'data-video-allow'],
+  iframe: ['src', 'sandbox', 'allow', 'loading', 'allowfullscreen', 'referrerpolicy'],
+  img: ['src', 'alt', 'width', 'height', 'style', 'loading', 'srcset', 'sizes'],
+  // GFM task lists
+  input: ['type', 'checked', 'disabled'],
+  li: ['value'],
+  ol: ['start', 'reversed'],
+  picture: ['style'],
+  section: ['data-footnotes'],
+  source: ['srcset', 'sizes', 'type', 'media'],
+  td: ['align', 'colspan', 'rowspan'],
+  th: ['align', 'colspan', 'rowspan', 'scope'],
+  time: ['datetime']
+};
+
+/** Attributes holding URLs, checked against ALLOWED_SCHEMES */
+const URL_ATTRIBUTES = ['href', 'src', 'srcset', 'data-video-src'];
+const ALLOWED_SCHEMES = ['https:', 'tg:', 'mailto:'];
+
+/** Our classes: content-* from input.css, code languages and GFM task lists and footnotes */
+const CLASS_PATTERN = /^(?:content-[a-z0-9-]+|language-[\w-]+)$/;
+const ALLOWED_CLASSES = [
+  'contains-task-list', 'task-list-item', 'footnotes', 'sr-only', 'data-footnote-backref',
+  // Buttons of [[cta]], same as in project.html
+  'btn', 'btn-lg', 'btn-primary', 'grid', 'w-full', 'max-w-2xl', 'mx-auto', 'grid-cols-1', 'sm:grid-cols-2', 'gap-2',
+  'gap-3', 'inline-flex', 'items-center', 'justify-center', 'h-6', 'w-6', 'h-7', 'w-7', 'shrink-0', 'object-contain'
+];
+
+/**
+ * Inline styles set by the build: column widths of [[columns]], aspect ratio of [[iframe]] and of
+ * images, blurred placeholder behind a <picture> (an inline WebP only)
+ */
+const STYLE_DECLARATION =
+  /^\s*(?:(?:--content-columns|aspect-ratio)\s*:\s*[\d\s./a-z%-]+|background-image\s*:\s*url\(data:image\/webp;base64,[a-z\d+/]+=*\)\s*)$/i;
+/** Splits declarations at ";" outside url(...), which holds one in data: URIs */
+const DECLARATION_SPLIT_RE = /;(?![^(]*\))/;
+
+const TAG_RE = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+const ATTRIBUTE_RE = /\s+([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * Decodes character references the way browsers read attribute values, so "&#106;avascript:"
+ * is seen as "javascript:".
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeEntities(value) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", colon: ':', tab: '\t', newline: '\n' };
+  return String(value).replace(/&(?:#x([0-9a-f]+)|#(\d+)|([a-z]+));?/gi, (match, hex, decimal, name) => {
+    if (hex || decimal) {
+      const code = parseInt(hex || decimal, hex ? 16 : 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    }
+    return Object.prototype.hasOwnProperty.call(named, name.toLowerCase()) ? named[name.toLowerCase()] : match;
+  });
+}
+
+/**
+ * @param {string} url - Decoded attribute value
+ * @returns {boolean} True for relative URLs and the allowed schemes
+ */
+function isAllowedUrl(url) {
+  // Browsers ignore control characters and spaces inside the scheme ("java\tscript:")
+  const scheme = String(url).replace(/[\u0000- \u007f]+/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || ALLOWED_SCHEMES.includes(`${scheme[1].toLowerCase()}:`);
+}
+
+/**
+ * @param {string} className
+ * @returns {boolean}
+ */
+function isAllowedClass(className) {
+  return CLASS_PATTERN.test(className) || ALLOWED_CLASSES.includes(className);
+}
+
+/**
+ * Checks one attribute and explains why it has to go.
+ * @param {string} tagName - Lowercase element name
+ * @param {string} name - Lowercase attribute name
+ * @param {string} value - Decoded value
+ * @returns {{code: string, message: string}|null} Null when the attribute may stay as it is
+ */
+function checkAttribute(tagName, name, value) {
+  const allowed =
+    GLOBAL_ATTRIBUTES.includes(name) ||
+    /^aria-[a-z]+$/.test(name) ||
+    (TAG_ATTRIBUTES[tagName] || []).includes(name);
+  if (!allowed) {
+    const what = /^on/.test(name) ? 'event handler' : 'attribute';
+    return { code: 'disallowed-html-attribute', message: `Removed ${what} "${name}" from <${tagName}>` };
+  }
+  if (URL_ATTRIBUTES.includes(name)) {
+    const urls = name === 'srcset' ? value.split(',').map((candidate) => candidate.trim().split(/\s+/)[0]) : [value];
+    const unsafe = urls.find((url) => !isAllowedUrl(url));
+    if (unsafe !== undefined) {
+      return {
+        code: 'disallowed-url-scheme',
+        message: `Removed ${name}="${unsafe}" from <${tagName}>: only ${ALLOWED_SCHEMES.join(', ')} and relative links are allowed`
+      };
+    }
+  }
+  if (name === 'style' && !value.split(DECLARATION_SPLIT_RE).filter((declaration) => declaration.trim()).every((declaration) => STYLE_DECLARATION.test(declaration))) {
+    return { code: 'disallowed-html-attribute', message: `Removed style="${value}" from <${tagName}>` };
+  }
+  return null;
+}
+
+/**
+ * Checks an element as a whole.
+ * @param {string} tagName - Lowercase element name
+ * @param {(name: string) => string|undefined} getAttribute - Decoded attribute value
+ * @returns {{code: string, message: string, dropContent: boolean}|null} Null when the element may stay
+ */
+function checkElement(tagName, getAttribute) {
+  if (DROPPED_WITH_CONTENT.includes(tagName)) {
+    return { code: 'disallowed-html-tag', message: `Removed <${tagName}> with its content`, dropContent: true };
+  }
+  if (!ALLOWED_TAGS.includes(tagName)) {
+    return { code: 'disallowed-html-tag', message: `Removed <${tagName}> tag, its content is kept`, dropContent: false };
+  }
+  if (tagName === 'iframe' && !findIframeHost(getAttribute('src'))) {
+    return {
+      code: 'disallowed-html-tag',
+      message: `Removed <iframe> from "${getAttribute('src') || ''}": the host is not in iframe-allowlist.js`,
+      dropContent: true
+    };
+  }
+  return null;
+}
+
+/**
+ * Sanitises an HTML fragment. Tags and attributes that pass are kept byte for byte; text
+ * between tags has stray "<" escaped so removed pieces cannot join into a new tag.
+ * @param {string} html
+ * @param {(code: string, message: string) => void} [report]
+ * @param {{dropping: string|null}} [state] - Element whose content is being dropped; shared by
+ *   fragments that follow each other, e.g. <script> and </script> parsed as separate raw nodes
+ * @returns {string}
+ */
+function sanitizeHtml(html, report = () => {}, state = { dropping: null }) {
+  let result = '';
+  let last = 0;
+  const source = String(html || '');
+
+  for (const match of source.matchAll(TAG_RE)) {
+    const [token, closing, rawName, attributesText = '', selfClosing] = match;
+    const text = source.slice(last, match.index);
+    last = match.index + token.length;
+    if (!state.dropping) result += text.replace(/</g, '&lt;');
+
+    const tagName = rawName && rawName.toLowerCase();
+    if (state.dropping) {
+      if (closing && tagName === state.dropping) state.dropping = null;
+      continue;
+    }
+    if (!rawName) {
+      // Markers such as [[toc]] are comment nodes of the tree, so one written here would be forged
+      report('disallowed-html-comment', 'Removed HTML comment');
+      continue;
+    }
+    if (closing) {
+      if (ALLOWED_TAGS.includes(tagName)) result += token;
+      continue;
+    }
+
+    const attributes = [...attributesText.matchAll(ATTRIBUTE_RE)].map(([attributeText, name, double, single, bare]) => ({
+      text: attributeText,
+      name: name.toLowerCase(),
+      value: decodeEntities(double ?? single ?? bare ?? '')
+    }));
+    const elementProblem = checkElement(tagName, (name) => (attributes.find((attribute) => attribute.name === name) || {}).value);
+    if (elementProblem) {
+      report(elementProblem.code, elementProblem.message);
+      if (elementProblem.dropContent && !selfClosing) state.dropping = tagName;
+      continue;
+    }
+
+    const kept = attributes.filter(({ name, value }) => {
+      const problem = name === 'class' ? null : checkAttribute(tagName, name, value);
+      if (problem) report(problem.code, problem.message);
+      return !problem;
+    });
+    const classProblems = kept
+      .filter(({ name }) => name === 'class')
+      .flatMap(({ value }) => value.split(/\s+/).filter((className) => className && !isAllowedClass(className)));
+    classProblems.forEach((className) => report('disallowed-html-class', `Removed class "${className}" from <${tagName}>`));
+
+    if (kept.length === attributes.length && classProblems.length === 0) {
+      result += token;
+      continue;
+    }
+    const attributesHtml = kept
+      .map((attribute) => {
+        if (attribute.name !== 'class' || classProblems.length === 0) return attribute.text;
+        const classes = attribute.value.split(/\s+/).filter((className) => className && isAllowedClass(className));
+        return classes.length ? ` class="${classes.join(' ')}"` : '';
+      })
+      .join('');
+    result += `<${rawName}${attributesHtml}${selfClosing ? ' /' : ''}>`;
+  }
+
+  if (!state.dropping) result += source.slice(last).replace(/</g, '&lt;');
+  return result;
+}
+
+/**
+ * HTML attribute name of a hast property (className → class, ariaLabel → aria-label).
+ * @param {string} property
+ * @returns {string}
+ */
+function attributeName(property) {
+  if (property === 'className') return 'class';
+  if (/^aria[A-Z]/.test(property)) return `aria-${property.slice(4).toLowerCase()}`;
+  if (/^data[A-Z]/.test(property)) return property.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`);
+  return property.toLowerCase();
+}
+
+/**
+ * @param {*} value - hast property value
+ * @returns {string}
+ */
+function propertyText(value) {
+  if (Array.isArray(value)) return value.join(' ');
+  return value === true ? '' : String(value);
+}
+
+/**
+ * Sanitises a hast tree in place: elements and their properties are checked against the
+ * allowlists, `raw` nodes go through sanitizeHtml(). Every removal is reported with the node
+ * it happened in, or its closest positioned ancestor.
+ * @param {object} tree - hast root
+ * @param {(code: string, message: string, node: object) => void} report
+ * @returns {object} The same tree
+ */
+function sanitizeTree(tree, report) {
+  const sanitizeChildren = (parent, located) => {
+    const state = { dropping: null };
+    parent.children = parent.children.flatMap((node) => {
+      const at = node.position ? node : located;
+      if (node.type === 'raw') {
+        return [{ ...node, value: sanitizeHtml(node.value, (code, message) => report(code, message, at), state) }];
+      }
+      // Text and elements between the raw opening and closing tags of a dropped element
+      if (state.dropping) return [];
+      if (node.type !== 'element') return [node];
+
+      const tagName = node.tagName.toLowerCase();
+      const properties = node.properties || {};
+      const getAttribute = (name) => {
+        const property = Object.keys(properties).find((key) => attributeName(key) === name);
+        return property === undefined ? undefined : propertyText(properties[property]);
+      };
+      const elementProblem = checkElement(tagName, getAttribute);
+      if (elementProblem) {
+        report(elementProblem.code, elementProblem.message, at);
+        if (elementProblem.dropContent) return [];
+        sanitizeChildren(node, at);
+        return node.children;
+      }
+
+      for (const [property, value] of Object.entries(properties)) {
+        if (value === undefined || value === null || value === false) continue;
+        const name = attributeName(property);
+        if (name === 'class') {
+          const classes = [].concat(value).map(String);
+          classes.filter((className) => !isAllowedClass(className)).forEach((className) =>
+            report('disallowed-html-class', `Removed class "${className}" from <${tagName}>`, at)
+          );
+          const kept = classes.filter(isAllowedClass);
+          if (kept.length) properties[property] = kept;
+          else delete properties[property];
+          continue;
+        }
+        const problem = checkAttribute(tagName, name, propertyText(value));
+        if (problem) {
+          report(problem.code, problem.message, at);
+          delete properties[property];
+        }
+      }
+      sanitizeChildren(node, at);
+      return [node];
+    });
+  };
+
+  sanitizeChildren(tree, tree);
+  return tree;
+}
+
+module.exports = {
+  ALLOWED_TAGS,
+  ALLOWED_SCHEMES,
+  sanitizeHtml,
+  sanitizeTree
+};
@@ -0,0 +1,79 @@
+/**
+ * Hosts that [[iframe]] may embed, each with its own sandbox and allow attributes.
+ * An iframe from any other host fails `vite build` (and is flagged in dev).
+ */
+
+/**
+ * @typedef {object} IframeHost
+ * @property {string} host - Hostname; "*.example.com" also matches subdomains
+ * @property {string} sandbox - Value of the sandbox attribute
+ * @property {string} allow - Value of the allow attribute (permissions policy)
+ */
+
+const PLAYER_SANDBOX = 'allow-scripts allow-same-origin allow-presentation allow-popups';
+const PLAYER_ALLOW = 'autoplay; encrypted-media; fullscreen; picture-in-picture';
+
+/** @type {IframeHost[]} */
+const IFRAME_HOSTS = [
+  // 3D tours of project renders
+  {
+    host: '*.3dpanorama.spb.ru',
+    sandbox: 'allow-scripts allow-same-origin allow-popups',
+    allow: 'fullscreen; accelerometer; gyroscope; xr-spatial-tracking'
+  },
+  // Video players; prefer [[video]], which loads them on click
+  { host: 'rutube.ru', sandbox: PLAYER_SANDBOX, allow: PLAYER_ALLOW },
+  { host: 'www.youtube.com', sandbox: PLAYER_SANDBOX, allow: PLAYER_ALLOW },
+  { host: 'www.youtube-nocookie.com', sandbox: PLAYER_SANDBOX, allow: PLAYER_ALLOW },
+  { host: 'vkvideo.ru', sandbox: PLAYER_SANDBOX, allow: PLAYER_ALLOW },
+  { host: 'vk.com', sandbox: PLAYER_SANDBOX, allow: PLAYER_ALLOW },
+  // Maps
+  { host: 'yandex.ru', sandbox: 'allow-scripts allow-same-origin allow-popups', allow: 'fullscreen' }
+];
+
+/**
+ * @param {string} hostname
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function matchesHost(hostname, pattern) {
+  if (pattern.startsWith('*.')) {
+    const domain = pattern.slice(2);
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  }
+  return hostname === pattern;
+}
+
+/**
+ * Finds the allowlist entry for an embed URL. Only https URLs are accepted.
+ * @param {string} url
+ * @param {IframeHost[]} [hosts=IFRAME_HOSTS]
+ * @returns {IframeHost|null}
+ */
+function findIframeHost(url, hosts = IFRAME_HOSTS) {
+  let parsed;
+  try {
+    parsed = new URL(String(url || '').trim());
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== 'https:') return null;
+  return hosts.find((entry) => matchesHost(parsed.hostname, entry.host)) || null;
+}
+
+/**
+ * Parses an aspect ratio written as "16:9", "4/3" or "1 / 1".
+ * @param {string} text
+ * @returns {string|null} CSS aspect-ratio value, e.g. "16 / 9"
+ */
+function parseAspectRatio(text) {
+  const match = String(text || '').trim().match(/^(\d+(?:\.\d+)?)\s*[:/]\s*(\d+(?:\.\d+)?)$/);
+  if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) return null;
+  return `${match[1]} / ${match[2]}`;
+}
+
+module.exports = {
+  IFRAME_HOSTS,
+  findIframeHost,
+  parseAspectRatio
+};
@@ -0,0 +1,191 @@
+/**
+ * Intrinsic sizes of source images, so generated <img> tags get width, height and an aspect-ratio
+ * and pages do not jump while images load, plus a tiny blurred placeholder shown until the image
+ * arrives. Both are read with sharp and kept in a manifest (.image-cache/dimensions.json) keyed by
+ * file path; an entry is reused while the file's size and modification time are unchanged, so dev
+ * rendering only pays for new or edited images. The image optimizer fills it for all project
+ * images ahead of time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/** Bumped when the stored format changes; older manifests are ignored */
+const MANIFEST_VERSION = 2;
+const MANIFEST_FILE = path.join(__dirname, '.image-cache', 'dimensions.json');
+/** Longest side of a placeholder in pixels; the browser scales it up, which blurs it further */
+const PLACEHOLDER_SIZE = 16;
+
+/**
+ * @typedef {object} ImageDimensions
+ * @property {number} width - Displayed width in pixels, after EXIF rotation
+ * @property {number} height - Displayed height in pixels, after EXIF rotation
+ * @property {string|null} [placeholder] - Blurred WebP thumbnail as a data: URI
+ */
+
+/**
+ * Reads the displayed size of an image. Orientations 5-8 rotate by 90 degrees, so width and
+ * height are swapped for them.
+ * @param {string} filePath
+ * @returns {Promise<ImageDimensions|null>} Null when the file is missing or not an image
+ */
+async function readImageDimensions(filePath) {
+  try {
+    // Loaded on first use: sharp is native and not needed by pages without images
+    const sharp = require('sharp');
+    const { width, height, orientation } = await sharp(filePath).metadata();
+    if (!width || !height) return null;
+    return orientation >= 5 ? { width: height, height: width } : { width, height };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Makes a blurred thumbnail of an image, a few hundred bytes to inline into the page.
+ * @param {string} filePath
+ * @returns {Promise<string|null>} data:image/webp URI, or null when the image can't be read
+ */
+async function createPlaceholder(filePath) {
+  try {
+    const sharp = require('sharp');
+    const buffer = await sharp(filePath)
+      .rotate()
+      .resize(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE, { fit: 'inside' })
+      .blur(1)
+      .webp({ quality: 40 })
+      .toBuffer();
+    return `data:image/webp;base64,${buffer.toString('base64')}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * @typedef {object} DimensionsManifest
+ * @property {(filePath: string) => ImageDimensions|null} get - Stored size and placeholder, or null when missing or the file changed
+ * @property {(filePaths: string[]) => Promise<void>} load - Reads the files not in the manifest yet and saves it if any were added
+ */
+
+/**
+ * Creates a dimensions manifest, in memory or backed by a JSON file that survives between runs.
+ * @param {object} [options]
+ * @param {string|null} [options.manifestFile] - JSON file to load from and save to
+ * @returns {DimensionsManifest}
+ */
+function createDimensionsManifest({ manifestFile = null } = {}) {
+  const entries = new Map();
+
+  if (manifestFile && fs.existsSync(manifestFile)) {
+    try {
+      const stored = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+      if (stored.version === MANIFEST_VERSION) {
+        Object.entries(stored.images || {}).forEach(([file, entry]) => entries.set(file, entry));
+      }
+    } catch (error) {
+      console.warn(`[image-dimensions] Ignoring unreadable ${manifestFile}: ${error.message}`);
+    }
+  }
+
+  const fileStamp = (filePath) => {
+    try {
+      const stats = fs.statSync(filePath);
+      return stats.isFile() ? { size: stats.size, mtimeMs: Math.round(stats.mtimeMs) } : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const get = (filePath) => {
+    const entry = entries.get(path.normalize(filePath));
+    const stamp = entry && fileStamp(filePath);
+    if (!stamp || stamp.size !== entry.size || stamp.mtimeMs !== entry.mtimeMs) return null;
+    return { width: entry.width, height: entry.height, placeholder: entry.placeholder };
+  };
+
+  return {
+    get,
+
+    async load(filePaths) {
+      let added = false;
+      for (const filePath of new Set(filePaths.map((file) => path.normalize(file)))) {
+        if (get(filePath)) continue;
+        const stamp = fileStamp(filePath);
+        const dimensions = stamp && (await readImageDimensions(filePath));
+        if (!dimensions) continue;
+        entries.set(filePath, { ...stamp, ...dimensions, placeholder: await createPlaceholder(filePath) });
+        added = true;
+      }
+      if (!added || !manifestFile) return;
+      try {
+        fs.mkdirSync(path.dirname(manifestFile), { recursive: true });
+        fs.writeFileSync(manifestFile, JSON.stringify({ version: MANIFEST_VERSION, images: Object.fromEntries(entries) }));
+      } catch (error) {
+        console.warn(`[image-dimensions] Could not save ${manifestFile}: ${error.message}`);
+      }
+    }
+  };
+}
+
+let sharedManifest = null;
+
+/**
+ * The manifest in .image-cache/ shared by markdown pages and the root HTML pages, created on first use.
+ * @returns {DimensionsManifest}
+ */
+function getDimensionsManifest() {
+  if (!sharedManifest) sharedManifest = createDimensionsManifest({ manifestFile: MANIFEST_FILE });
+  return sharedManifest;
+}
+
+/**
+ * Attributes that reserve an image's box before it loads. The inline aspect-ratio keeps the
+ * proportions when CSS sets only the width.
+ * @param {ImageDimensions} dimensions
+ * @returns {{width: number, height: number, style: string}}
+ */
+function dimensionAttributes({ width, height }) {
+  return { width, height, style: `aspect-ratio: ${width} / ${height}` };
+}
+
+/**
+ * Adds width, height and aspect-ratio to <img> tags with local sources in a hand-written HTML
+ * page, such as the hero images of index.html. Tags that already set width, height or style
+ * are left alone, as are remote and data: sources.
+ * @param {string} html
+ * @param {string} baseDir - Folder image sources are relative to
+ * @param {DimensionsManifest} manifest
+ * @returns {Promise<string>}
+ */
+async function addImageDimensions(html, baseDir, manifest) {
+  const IMG_RE = /<img\b[^>]*>/gi;
+  const sourceOf = (tag) => {
+    if (/\s(?:width|height|style)\s*=/i.test(tag)) return null;
+    const match = tag.match(/\ssrc="([^"]+)"/i);
+    if (!match || /^(?:[a-z][a-z\d+.-]*:|\/\/)/i.test(match[1])) return null;
+    try {
+      return path.join(baseDir, decodeURIComponent(match[1].split(/[?#]/)[0]));
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const sources = (html.match(IMG_RE) || []).map(sourceOf).filter(Boolean);
+  await manifest.load(sources);
+  return html.replace(IMG_RE, (tag) => {
+    const source = sourceOf(tag);
+    const dimensions = source && manifest.get(source);
+    if (!dimensions) return tag;
+    const attributes = Object.entries(dimensionAttributes(dimensions)).map(([name, value]) => ` ${name}="${value}"`).join('');
+    return tag.replace(/^<img\b/i, `<img${attributes}`);
+  });
+}
+
+module.exports = {
+  readImageDimensions,
+  createPlaceholder,
+  createDimensionsManifest,
+  getDimensionsManifest,
+  dimensionAttributes,
+  addImageDimensions
+};
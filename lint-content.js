@@ -0,0 +1,198 @@
+/**
+ * Content lint for project and legal markdown pages.
+ * Run with `npm run lint:content`; exits with code 1 when any error is found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter').default || require('gray-matter');
+const { formatDiagnosticsReport, isErrorDiagnostic } = require('./markdown-diagnostics');
+const { validateFrontmatter } = require('./frontmatter-schema');
+
+const FRONTMATTER_LINK_CHECKS = {
+  bot_link: {
+    pattern: /^tg:\/\/resolve\?domain=[A-Za-z0-9_]+(?:&start=[A-Za-z0-9_-]+)?$/,
+    expected: 'tg://resolve?domain=<bot>&start=<payload>'
+  },
+  max_bot_link: {
+    pattern: /^https:\/\/max\.ru\/[A-Za-z0-9_]+(?:\?start=[A-Za-z0-9_-]+)?$/,
+    expected: 'https://max.ru/<bot>?start=<payload>'
+  }
+};
+
+const IMAGE_PATTERNS = [
+  /!\[([^\]]*)\]\(\s*(?:\.\/)?(images\/(?:[^()\s]|\([^()\s]*\))+)/g,
+  /<img\b[^>]*\bsrc="(?:\.\/)?(images\/[^"]+)"[^>]*>/g
+];
+
+const RAW_TME_PATTERN = /\bhttps?:\/\/t\.me\/[^\s)"'>]*/g;
+
+/**
+ * @param {string} code
+ * @param {string} message
+ * @param {number} line
+ * @param {number} column
+ * @returns {import('./markdown-diagnostics').Diagnostic}
+ */
+function problem(code, message, line, column = 1) {
+  return { severity: 'error', code, message, line, column };
+}
+
+/**
+ * File behind an image src, with URL escapes decoded; a src with a stray "%" is taken as it is,
+ * as build-markdown.js does.
+ * @param {string} baseDir
+ * @param {string} src
+ * @returns {string}
+ */
+function imagePath(baseDir, src) {
+  try {
+    return path.join(baseDir, decodeURIComponent(src));
+  } catch (error) {
+    return path.join(baseDir, src);
+  }
+}
+
+/**
+ * Splits a file into lines and marks the ones that are frontmatter or fenced code.
+ * @param {string} fileContent
+ * @returns {{ lines: string[], frontmatterEnd: number, fenced: boolean[] }} frontmatterEnd is the index of the first content line
+ */
+function scanLines(fileContent) {
+  const lines = fileContent.split(/\r?\n/);
+  let frontmatterEnd = 0;
+  if (lines[0] === '---') {
+    const closing = lines.indexOf('---', 1);
+    if (closing !== -1) frontmatterEnd = closing + 1;
+  }
+
+  const fenced = lines.map(() => false);
+  let fence = null;
+  for (let i = frontmatterEnd; i < lines.length; i++) {
+    const marker = lines[i].replace(/^(?:\|\s*)+/, '').match(/^\s*(`{3,}|~{3,})/);
+    if (fence) {
+      fenced[i] = true;
+      if (marker && marker[1][0] === fence[0] && marker[1].length >= fence.length) fence = null;
+    } else if (marker) {
+      fenced[i] = true;
+      fence = marker[1];
+    }
+  }
+  return { lines, frontmatterEnd, fenced };
+}
+
+/**
+ * @param {string[]} lines
+ * @param {number} frontmatterEnd
+ * @param {Object} metadata - Parsed frontmatter
+ * @returns {import('./markdown-diagnostics').Diagnostic[]}
+ */
+function lintFrontmatterLinks(lines, frontmatterEnd, metadata) {
+  const problems = [];
+  for (const [key, { pattern, expected }] of Object.entries(FRONTMATTER_LINK_CHECKS)) {
+    const value = metadata[key];
+    if (value === undefined || value === '') continue;
+    if (typeof value === 'string' && pattern.test(value)) continue;
+    const index = lines.slice(0, frontmatterEnd).findIndex((line) => line.startsWith(`${key}:`));
+    problems.push(problem('invalid-deep-link', `${key} "${value}" is not a valid deep link, expected ${expected}`, index + 1));
+  }
+  return problems;
+}
+
+/**
+ * Lints one markdown file.
+ * @param {string} fileContent - Whole file, including frontmatter
+ * @param {object} options
+ * @param {Object} [options.metadata={}] - Parsed frontmatter
+ * @param {string} options.baseDir - Directory that `images/...` paths are relative to
+ * @returns {import('./markdown-diagnostics').Diagnostic[]}
+ */
+function lintMarkdown(fileContent, { metadata = {}, baseDir }) {
+  const { lines, frontmatterEnd, fenced } = scanLines(fileContent);
+  const problems = lintFrontmatterLinks(lines, frontmatterEnd, metadata);
+  const h2Lines = new Map();
+  let previousLevel = 1; // The page template renders the H1
+
+  for (let i = frontmatterEnd; i < lines.length; i++) {
+    if (fenced[i]) continue;
+    const line = lines[i];
+    const lineNumber = i + 1;
+
+    for (const pattern of IMAGE_PATTERNS) {
+      for (const match of line.matchAll(pattern)) {
+        const isMarkdown = match[0].startsWith('!');
+        const src = isMarkdown ? match[2] : match[1];
+        const column = match.index + 1;
+        if (!fs.existsSync(imagePath(baseDir, src))) {
+          problems.push(problem('missing-image', `Image "${src}" not found`, lineNumber, column));
+        }
+        const alt = isMarkdown ? match[1] : (match[0].match(/\balt="([^"]*)"/) || [])[1];
+        if (!alt || !alt.trim()) {
+          problems.push(problem('missing-alt', `Image "${src}" has no alt text`, lineNumber, column));
+        }
+      }
+    }
+
+    for (const match of line.matchAll(RAW_TME_PATTERN)) {
+      problems.push(problem('raw-tme-link', `Raw t.me link "${match[0]}": use a tg:// deep link`, lineNumber, match.index + 1));
+    }
+
+    const prefix = line.match(/^(?:\|\s*)*/)[0];
+    const heading = line.slice(prefix.length).match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (!heading) continue;
+    const level = heading[1].length;
+    const column = prefix.length + 1;
+    if (level > previousLevel + 1) {
+      problems.push(problem('heading-level-skip', `Heading "${heading[2]}" jumps from H${previousLevel} to H${level}`, lineNumber, column));
+    }
+    previousLevel = level;
+    if (level === 2) {
+      const title = heading[2].toLowerCase();
+      if (h2Lines.has(title)) {
+        problems.push(problem('duplicate-h2', `Duplicate H2 "${heading[2]}", first used on line ${h2Lines.get(title)}`, lineNumber, column));
+      } else {
+        h2Lines.set(title, lineNumber);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Lints every project page and legal page, including frontmatter.
+ * @returns {import('./markdown-diagnostics').Diagnostic[]}
+ */
+function lintContent() {
+  // Loaded here so lintMarkdown stays usable without the markdown renderer
+  const { findProjects, LEGAL_PAGES } = require('./build-markdown');
+  const pages = [
+    ...findProjects().map((project) => ({ file: project.mdPath, pageType: 'project' })),
+    ...LEGAL_PAGES.map((page) => ({ file: path.join(__dirname, 'src', page.md), pageType: 'legal' }))
+  ].filter(({ file }) => fs.existsSync(file));
+
+  return pages.flatMap(({ file, pageType }) => {
+    const fileContent = fs.readFileSync(file, 'utf8');
+    const { data } = matter(fileContent);
+    const relativePath = path.relative(__dirname, file);
+    return [
+      ...validateFrontmatter(data, { pageType, fileContent }),
+      ...lintMarkdown(fileContent, { metadata: data, baseDir: path.dirname(file) })
+    ].map((diagnostic) => ({ file: relativePath, ...diagnostic }));
+  });
+}
+
+if (require.main === module) {
+  const diagnostics = lintContent();
+  if (diagnostics.length === 0) {
+    console.log('Content lint: no problems found');
+  } else {
+    console.log(formatDiagnosticsReport(diagnostics));
+  }
+  process.exitCode = diagnostics.some(isErrorDiagnostic) ? 1 : 0;
+}
+
+module.exports = {
+  lintMarkdown,
+  lintContent
+};
@@ -0,0 +1,195 @@
+/**
+ * Renders the block tree of markdown-blocks.js into one HTML syntax tree (hast), so later passes
+ * (images, tables, links) work on elements instead of HTML strings and know the source line
+ * every element came from.
+ *
+ * Markdown runs of one nesting level are parsed together by markdown-parser.js, with blocks
+ * standing in as <!--md-block-N--> comments; node positions are mapped back to the lines of the
+ * page or snippet. Blocks still render HTML strings, but the bodies they get from their context
+ * are placeholders for subtrees, spliced back in as nodes: block markup becomes `raw` nodes
+ * positioned at the block's tag, the markdown inside keeps its own positions.
+ */
+
+const { getBlock, parseBlocks } = require('./markdown-blocks');
+const { markdownToHast } = require('./markdown-parser');
+
+const BLOCK_PLACEHOLDER_RE = /^<!--md-block-(\d+)-->$/;
+const EMBED_SPLIT_RE = /<!--content-tree-(\d+)-->/;
+
+/**
+ * @typedef {object} TreeBlockContext
+ * @property {import('./markdown-blocks').BlockNode} node - Node being rendered
+ * @property {Array<object>} children - Parsed body of the node
+ * @property {() => string} renderBody - Placeholder for the rendered body
+ * @property {(child: import('./markdown-blocks').BlockNode) => string} renderNode - Placeholder for a single child block
+ * @property {(nodes: Array<object>) => string} renderNodes - Placeholder for a subset of nodes
+ * @property {(markdown: string) => string} renderMarkdown - Placeholder for arbitrary markdown (with blocks)
+ * @property {() => object} bodyTree - Rendered body as a hast root, to pick elements from
+ * @property {(tree: object) => string} embed - Placeholder for a hast node or root, e.g. one taken from bodyTree()
+ * @property {object} [page] - Page being rendered, passed through from the render options (e.g. its folder, slug and frontmatter)
+ */
+
+/**
+ * Calls `visitor` for every node below `tree`, parents before children.
+ * @param {object} tree
+ * @param {(node: object, parent: object) => void} visitor
+ */
+function visitTree(tree, visitor) {
+  for (const child of tree.children || []) {
+    visitor(child, tree);
+    visitTree(child, visitor);
+  }
+}
+
+/**
+ * Replaces nodes below `tree`. `transform` returns the nodes to put in place of a node, or
+ * undefined to keep it and look inside; replacements are not visited again.
+ * @param {object} tree
+ * @param {(node: object) => Array<object>|undefined} transform
+ * @returns {object} The same tree
+ */
+function transformTree(tree, transform) {
+  if (!tree.children) return tree;
+  tree.children = tree.children.flatMap((child) => transform(child) || [transformTree(child, transform)]);
+  return tree;
+}
+
+/**
+ * Elements with the given tag name below `tree`, in document order.
+ * @param {object} tree
+ * @param {string} tagName
+ * @returns {Array<object>}
+ */
+function findElements(tree, tagName) {
+  const found = [];
+  visitTree(tree, (node) => {
+    if (node.type === 'element' && node.tagName === tagName) found.push(node);
+  });
+  return found;
+}
+
+/**
+ * Source file and position of a tree node, for diagnostics.
+ * @param {object} node
+ * @returns {{line: number, column: number, file?: string}|null}
+ */
+function sourcePosition(node) {
+  if (!node.position) return null;
+  const { line, column } = node.position.start;
+  return node.data && node.data.file ? { file: node.data.file, line, column } : { line, column };
+}
+
+/**
+ * Moves positions from lines of the parsed markdown to lines of the source file.
+ * @param {object} tree
+ * @param {Array<{line: number, column: number, file?: string}|null>} lineMap - Source of each parsed line, null for placeholders
+ */
+function mapPositions(tree, lineMap) {
+  const toSource = (point) => {
+    const source = lineMap[point.line - 1];
+    return source && { line: source.line, column: source.column + point.column - 1 };
+  };
+  visitTree(tree, (node) => {
+    if (!node.position) return;
+    const start = toSource(node.position.start);
+    if (!start) {
+      delete node.position;
+      return;
+    }
+    const { file } = lineMap[node.position.start.line - 1];
+    node.position = { start, end: toSource(node.position.end) || start };
+    if (file) node.data = { ...node.data, file };
+  });
+}
+
+/**
+ * Turns a block's HTML into nodes: markup between placeholders becomes `raw` nodes at the
+ * block position, placeholders become the subtrees they stand for.
+ * @param {string} html
+ * @param {Array<object>} embedded - Subtrees by placeholder index
+ * @param {import('./markdown-blocks').BlockNode} node
+ * @returns {object} hast root
+ */
+function spliceEmbedded(html, embedded, node) {
+  const position = { start: { line: node.line, column: node.column }, end: { line: node.line, column: node.column } };
+  const children = String(html || '')
+    .split(EMBED_SPLIT_RE)
+    .flatMap((part, index) => {
+      if (index % 2 === 1) {
+        const tree = embedded[Number(part)];
+        return tree.type === 'root' ? tree.children : [tree];
+      }
+      if (part === '') return [];
+      return [{ type: 'raw', value: part, position, ...(node.file ? { data: { file: node.file } } : {}) }];
+    });
+  return { type: 'root', children };
+}
+
+/**
+ * Renders one block node to a hast root.
+ * @param {import('./markdown-blocks').BlockNode} node
+ * @param {{page?: object}} [options]
+ * @returns {object}
+ */
+function renderBlockTree(node, options = {}) {
+  const block = getBlock(node.name);
+  const embedded = [];
+  const embed = (tree) => {
+    embedded.push(tree);
+    return `<!--content-tree-${embedded.length - 1}-->`;
+  };
+  const context = {
+    node,
+    children: node.children,
+    renderBody: () => embed(renderTree(node.children, options)),
+    renderNode: (child) => embed(renderBlockTree(child, options)),
+    renderNodes: (nodes) => embed(renderTree(nodes, options)),
+    renderMarkdown: (markdown) => embed(renderTree(parseBlocks(markdown), options)),
+    bodyTree: () => renderTree(node.children, options),
+    embed,
+    page: options.page
+  };
+  return spliceEmbedded(block.render(block.parse(node), context), embedded, node);
+}
+
+/**
+ * Renders a list of nodes to a hast root. Markdown runs of one level are parsed in a single
+ * call, so lists and paragraphs split only where a block stands.
+ * @param {Array<object>} nodes - Nodes from parseBlocks()
+ * @param {{page?: object}} [options]
+ * @returns {object}
+ */
+function renderTree(nodes, options = {}) {
+  const blocks = [];
+  const lineMap = [];
+  const source = nodes
+    .map((node) => {
+      if (node.type === 'markdown') {
+        const columns = node.columns || node.text.split('\n').map(() => 1);
+        lineMap.push(...columns.map((column, index) => ({ line: node.line + index, column, file: node.file })));
+        return node.text;
+      }
+      blocks.push(renderBlockTree(node, options));
+      lineMap.push(null, null, null);
+      return `\n<!--md-block-${blocks.length - 1}-->\n`;
+    })
+    .join('\n');
+
+  if (source.trim() === '') return { type: 'root', children: [] };
+  const tree = markdownToHast(source);
+  mapPositions(tree, lineMap);
+  if (blocks.length === 0) return tree;
+  return transformTree(tree, (child) => {
+    const match = child.type === 'raw' && child.value.trim().match(BLOCK_PLACEHOLDER_RE);
+    return match ? blocks[Number(match[1])].children : undefined;
+  });
+}
+
+module.exports = {
+  visitTree,
+  transformTree,
+  findElements,
+  sourcePosition,
+  renderBlockTree,
+  renderTree
+};
@@ -0,0 +1,448 @@
+/**
+ * Custom markdown blocks ([[name]] ... [[/name]]): registry and tokenizer. Blocks are
+ * rendered into the page tree by markdown-ast.js.
+ * Built-in blocks are registered by build-markdown.js; project-specific blocks
+ * can be added from any module via registerBlock() before pages are processed.
+ *
+ * Source is read line by line into a tree. A block body is either closed by
+ * [[/tag]] or, for blocks with an implicit end, runs until a terminator line.
+ * Lines prefixed with "|" belong one level deeper (Notion export style), so any
+ * block can be nested in any other either with closing tags or with pipes.
+ */
+
+const DEFAULT_PRIORITY = 100;
+const BLOCK_NAME_RE = /^[a-z][a-z0-9-]*$/;
+const CLOSING_TAG_MODES = [true, false, 'optional'];
+// [[tag]], [[tag | a | b]], [[/tag]]; text after ]] is allowed only when it continues the body with "|"
+const TAG_LINE_RE = /^\[\[(\/?)([a-z][a-z0-9-]*)(?:\s*\|\s*([^\]]*?))?\s*\]\](.*)$/;
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})/;
+
+/** @type {Map<string, BlockDefinition>} */
+const registry = new Map();
+
+/**
+ * @typedef {object} SourceLine
+ * @property {string} text - Line text at the current nesting level
+ * @property {number} line - 1-based line number in the source file
+ * @property {number} column - 1-based column where `text` starts
+ * @property {boolean} [fenced] - Inside a fenced code block, never read as a tag
+ */
+
+/**
+ * @typedef {object} MarkdownNode
+ * @property {'markdown'} type
+ * @property {string} text
+ * @property {number} line - Line of the first line of `text`; the others follow one per line
+ * @property {number[]} columns - 1-based column where each line of `text` starts in the source
+ * @property {string} [file] - Snippet the node comes from, set when [[include]] is expanded
+ */
+
+/**
+ * @typedef {object} BlockNode
+ * @property {'block'} type
+ * @property {string} name - Registered block name
+ * @property {string} tag - Tag used in source
+ * @property {string[]} args - Pipe-separated arguments from the opening tag, trimmed
+ * @property {string} body - Body text with one pipe level removed, trimmed
+ * @property {Array<BlockNode|MarkdownNode>} children - Parsed body
+ * @property {number} line
+ * @property {number} column
+ * @property {string} [file] - Snippet the node comes from, set when [[include]] is expanded
+ */
+
+/**
+ * Context a block's render() gets from markdown-ast.js.
+ * @typedef {import('./markdown-ast').TreeBlockContext} BlockContext
+ */
+
+/**
+ * @typedef {object} BlockDefinition
+ * @property {string} name - Unique block name, also used as the tag unless `tag` is given
+ * @property {string} [tag] - Tag in [[tag]] syntax (several blocks may share a tag, e.g. columns and its legacy form)
+ * @property {boolean|'optional'} [hasClosingTag=true] - Whether the block ends with [[/tag]]; 'optional' falls back to `implicitEnd`
+ * @property {RegExp} [implicitEnd] - Line that ends a body without closing tag (the line itself is not part of the body)
+ * @property {(node: BlockNode) => boolean} [accepts] - Extra check before the block claims an opening tag
+ * @property {(node: BlockNode, report: (code: string, message: string, severity?: 'error'|'warning') => void) => void} [validate] - Reports block-specific problems at the block position
+ * @property {boolean} [allowEmptyBody=false] - Do not report an empty body
+ * @property {(node: BlockNode) => *} [parse] - Turns the parsed node into render data
+ * @property {(data: *, context: BlockContext) => string} render - Returns HTML for the block
+ * @property {number} [priority=100] - Blocks sharing a tag are tried in ascending priority
+ */
+
+/**
+ * Splits the raw argument string of an opening tag ("a | b") into trimmed parts.
+ * @param {string|undefined} argsText
+ * @returns {string[]}
+ */
+function splitBlockArgs(argsText) {
+  if (argsText === undefined || argsText.trim() === '') return [];
+  return argsText.split('|').map((arg) => arg.trim());
+}
+
+/**
+ * Registers a custom block.
+ * @param {BlockDefinition} definition
+ * @returns {BlockDefinition} Normalized definition
+ * @throws {Error} If the definition is invalid or the name is already taken
+ */
+function registerBlock(definition) {
+  if (!definition || typeof definition !== 'object') {
+    throw new TypeError('[markdown-blocks] registerBlock expects a block definition object');
+  }
+  const { name } = definition;
+  if (typeof name !== 'string' || !BLOCK_NAME_RE.test(name)) {
+    throw new TypeError(`[markdown-blocks] Invalid block name "${name}": use lowercase letters, digits and dashes`);
+  }
+  if (registry.has(name)) {
+    throw new Error(`[markdown-blocks] Block "${name}" is already registered`);
+  }
+  if (typeof definition.render !== 'function') {
+    throw new TypeError(`[markdown-blocks] Block "${name}" must define render(data, context)`);
+  }
+  for (const hook of ['parse', 'accepts', 'validate']) {
+    if (definition[hook] !== undefined && typeof definition[hook] !== 'function') {
+      throw new TypeError(`[markdown-blocks] Block "${name}": ${hook} must be a function`);
+    }
+  }
+  if (definition.hasClosingTag !== undefined && !CLOSING_TAG_MODES.includes(definition.hasClosingTag)) {
+    throw new TypeError(`[markdown-blocks] Block "${name}": hasClosingTag must be true, false or 'optional'`);
+  }
+  if (definition.implicitEnd !== undefined && !(definition.implicitEnd instanceof RegExp)) {
+    throw new TypeError(`[markdown-blocks] Block "${name}": implicitEnd must be a RegExp`);
+  }
+  if (definition.tag !== undefined && !BLOCK_NAME_RE.test(definition.tag)) {
+    throw new TypeError(`[markdown-blocks] Block "${name}": invalid tag "${definition.tag}"`);
+  }
+
+  const normalized = {
+    tag: name,
+    hasClosingTag: true,
+    priority: DEFAULT_PRIORITY,
+    parse: (node) => node,
+    ...definition
+  };
+  if (normalized.hasClosingTag === 'optional' && !normalized.implicitEnd) {
+    throw new TypeError(`[markdown-blocks] Block "${name}": optional closing tag requires implicitEnd`);
+  }
+
+  registry.set(name, normalized);
+  return normalized;
+}
+
+/**
+ * Removes a block from the registry.
+ * @param {string} name
+ * @returns {boolean} True if the block was registered
+ */
+function unregisterBlock(name) {
+  return registry.delete(name);
+}
+
+/**
+ * @param {string} name
+ * @returns {BlockDefinition|undefined}
+ */
+function getBlock(name) {
+  return registry.get(name);
+}
+
+/**
+ * Returns registered blocks ordered by priority (registration order breaks ties).
+ * @returns {BlockDefinition[]}
+ */
+function getRegisteredBlocks() {
+  return [...registry.values()].sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * @param {string} tag
+ * @returns {BlockDefinition[]} Blocks that may claim [[tag]], in the order they are tried
+ */
+function blocksForTag(tag) {
+  return getRegisteredBlocks().filter((block) => block.tag === tag);
+}
+
+/**
+ * Recognizes a tag line.
+ * @param {string} text
+ * @returns {{closing: boolean, tag: string, args: string[], trailing: string}|null}
+ */
+function readTagLine(text) {
+  const match = text.trim().match(TAG_LINE_RE);
+  if (!match) return null;
+  const [, slash, tag, argsText, rest] = match;
+  const trailing = rest.trim();
+  if (trailing && (slash || !trailing.startsWith('|'))) return null;
+  return { closing: slash === '/', tag, args: splitBlockArgs(argsText), trailing };
+}
+
+/**
+ * Splits source text into lines with their positions.
+ * @param {string} content
+ * @param {number} [firstLine=1] - Line number of the first line (e.g. after frontmatter)
+ * @returns {SourceLine[]}
+ */
+function toSourceLines(content, firstLine = 1) {
+  return content.split(/\r?\n/).map((text, index) => ({ text, line: firstLine + index, column: 1 }));
+}
+
+/**
+ * Flags lines that belong to fenced code blocks, so tags shown in code samples stay text.
+ * @param {SourceLine[]} lines
+ * @returns {SourceLine[]}
+ */
+function markFencedLines(lines) {
+  let fence = null;
+  return lines.map((sourceLine) => {
+    const match = sourceLine.text.match(FENCE_RE);
+    if (fence) {
+      if (match && match[1][0] === fence[0] && match[1].length >= fence.length) fence = null;
+      return { ...sourceLine, fenced: true };
+    }
+    if (match) fence = match[1];
+    return { ...sourceLine, fenced: Boolean(match) };
+  });
+}
+
+/**
+ * @param {SourceLine} sourceLine
+ * @returns {ReturnType<typeof readTagLine>}
+ */
+function tagAt(sourceLine) {
+  return sourceLine.fenced ? null : readTagLine(sourceLine.text);
+}
+
+/**
+ * Removes one nesting level: a leading "|" (with following spaces) and a trailing "|".
+ * @param {SourceLine[]} lines
+ * @returns {SourceLine[]}
+ */
+function stripPipeLevel(lines) {
+  return lines.map((sourceLine) => {
+    const lead = sourceLine.text.match(/^\|[ \t]*/);
+    const offset = lead ? lead[0].length : 0;
+    const text = sourceLine.text.slice(offset).replace(/[ \t]*\|[ \t]*$/, '');
+    return { text, line: sourceLine.line, column: sourceLine.column + offset };
+  });
+}
+
+/**
+ * Finds the [[/tag]] line matching the opening tag at `start`, counting nested tags of the same name.
+ * @param {SourceLine[]} lines
+ * @param {number} start - Index of the opening tag line
+ * @param {string} tag
+ * @returns {number} Index of the closing line or -1
+ */
+function findClosingLine(lines, start, tag) {
+  let depth = 1;
+  for (let i = start + 1; i < lines.length; i++) {
+    const tagLine = tagAt(lines[i]);
+    if (!tagLine || tagLine.tag !== tag) continue;
+    depth += tagLine.closing ? -1 : 1;
+    if (depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Finds where a body without closing tag ends. Nested blocks with closing tags are skipped as a whole.
+ * @param {SourceLine[]} lines
+ * @param {number} start - Index of the opening tag line
+ * @param {RegExp} implicitEnd
+ * @returns {number} Index of the first line after the body
+ */
+function findImplicitEnd(lines, start, implicitEnd) {
+  let i = start + 1;
+  while (i < lines.length) {
+    if (lines[i].fenced) {
+      i++;
+      continue;
+    }
+    if (implicitEnd.test(lines[i].text)) return i;
+    const tagLine = tagAt(lines[i]);
+    if (tagLine && !tagLine.closing && blocksForTag(tagLine.tag).some((block) => block.hasClosingTag !== false)) {
+      const close = findClosingLine(lines, i, tagLine.tag);
+      if (close !== -1) {
+        i = close + 1;
+        continue;
+      }
+    }
+    i++;
+  }
+  return lines.length;
+}
+
+/**
+ * Works out which lines belong to a block opened at `start`.
+ * @param {SourceLine[]} lines
+ * @param {number} start
+ * @param {BlockDefinition} block
+ * @returns {{bodyEnd: number, next: number}|null} Null if the block cannot be closed here
+ */
+function measureBlock(lines, start, block) {
+  if (block.hasClosingTag !== false) {
+    const close = findClosingLine(lines, start, block.tag);
+    if (close !== -1) return { bodyEnd: close, next: close + 1 };
+    if (block.hasClosingTag === true) return null;
+  }
+  if (!block.implicitEnd) return { bodyEnd: start + 1, next: start + 1 };
+  const end = findImplicitEnd(lines, start, block.implicitEnd);
+  return { bodyEnd: end, next: end };
+}
+
+/**
+ * @param {BlockDefinition} block
+ * @returns {boolean} True if the block is expected to have a body
+ */
+function hasBody(block) {
+  return block.hasClosingTag !== false || Boolean(block.implicitEnd);
+}
+
+/**
+ * Creates a diagnostic at a source position.
+ * @param {string} code
+ * @param {string} message
+ * @param {{line: number, column: number}} position
+ * @param {'error'|'warning'} [severity='error']
+ * @returns {import('./markdown-diagnostics').Diagnostic}
+ */
+function createDiagnostic(code, message, position, severity = 'error') {
+  return { severity, code, message, line: position.line, column: position.column };
+}
+
+/**
+ * Reports problems with a tag line that no block claimed.
+ * @param {ReturnType<typeof readTagLine>} tagLine
+ * @param {SourceLine} sourceLine
+ * @param {Array<object>} diagnostics
+ */
+function reportUnclaimedTag(tagLine, sourceLine, diagnostics) {
+  const position = { line: sourceLine.line, column: sourceLine.column + sourceLine.text.search(/\S/) };
+  const source = tagLine.closing ? `[[/${tagLine.tag}]]` : `[[${tagLine.tag}]]`;
+  if (blocksForTag(tagLine.tag).length === 0) {
+    diagnostics.push(createDiagnostic('unknown-block', `Unknown block ${source}`, position));
+  } else if (tagLine.closing) {
+    diagnostics.push(createDiagnostic('unexpected-closing-tag', `Closing tag ${source} has no matching opening tag`, position));
+  } else {
+    diagnostics.push(createDiagnostic('unclosed-block', `Block ${source} is not closed: add [[/${tagLine.tag}]]`, position));
+  }
+}
+
+/**
+ * Builds the block tree for one nesting level.
+ * @param {SourceLine[]} sourceLines
+ * @param {Array<object>} diagnostics - Problems found while parsing are appended here
+ * @returns {Array<BlockNode|MarkdownNode>}
+ */
+function parseLines(sourceLines, diagnostics) {
+  const lines = markFencedLines(sourceLines);
+  const nodes = [];
+  let pending = [];
+
+  const flushMarkdown = () => {
+    if (pending.length === 0) return;
+    nodes.push({
+      type: 'markdown',
+      text: pending.map((l) => l.text).join('\n'),
+      line: pending[0].line,
+      columns: pending.map((l) => l.column)
+    });
+    pending = [];
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    const sourceLine = lines[i];
+    const tagLine = tagAt(sourceLine);
+    let claimed = null;
+
+    if (tagLine && !tagLine.closing) {
+      for (const block of blocksForTag(tagLine.tag)) {
+        const extent = measureBlock(lines, i, block);
+        if (!extent) continue;
+
+        const bodySource = lines.slice(i + 1, extent.bodyEnd);
+        if (tagLine.trailing) {
+          const column = sourceLine.column + sourceLine.text.indexOf(tagLine.trailing);
+          bodySource.unshift({ text: tagLine.trailing, line: sourceLine.line, column });
+        }
+        const bodyLines = stripPipeLevel(bodySource);
+        const bodyDiagnostics = [];
+        const node = {
+          type: 'block',
+          name: block.name,
+          tag: tagLine.tag,
+          args: tagLine.args,
+          body: bodyLines.map((l) => l.text).join('\n').trim(),
+          children: parseLines(bodyLines, bodyDiagnostics),
+          line: sourceLine.line,
+          column: sourceLine.column + sourceLine.text.search(/\S/)
+        };
+        if (block.accepts && !block.accepts(node)) continue;
+
+        claimed = { node, next: extent.next, bodyDiagnostics, block };
+        break;
+      }
+    }
+
+    if (claimed) {
+      const { node, block } = claimed;
+      flushMarkdown();
+      nodes.push(node);
+      if (hasBody(block) && node.body === '' && !block.allowEmptyBody) {
+        diagnostics.push(createDiagnostic('empty-block', `Block [[${node.tag}]] has an empty body`, node));
+      }
+      if (block.validate) {
+        block.validate(node, (code, message, severity) => {
+          diagnostics.push(createDiagnostic(code, message, node, severity));
+        });
+      }
+      diagnostics.push(...claimed.bodyDiagnostics);
+      i = claimed.next;
+    } else {
+      if (tagLine) reportUnclaimedTag(tagLine, sourceLine, diagnostics);
+      pending.push(sourceLine);
+      i++;
+    }
+  }
+
+  flushMarkdown();
+  return nodes;
+}
+
+/**
+ * Parses markdown into a tree of blocks and markdown runs.
+ * @param {string} content
+ * @param {object} [options]
+ * @param {number} [options.firstLine=1] - Line number of the first content line (e.g. after frontmatter)
+ * @param {Array<object>} [options.diagnostics] - Receives unclosed/unknown/empty block problems
+ * @returns {Array<BlockNode|MarkdownNode>}
+ */
+function parseBlocks(content, options = {}) {
+  const { firstLine = 1, diagnostics = [] } = options;
+  return parseLines(toSourceLines(content, firstLine), diagnostics);
+}
+
+/**
+ * Collects block nodes with the given name from a parsed tree, at any depth, in document order.
+ * @param {Array<BlockNode|MarkdownNode>} nodes
+ * @param {string} name - Registered block name
+ * @returns {BlockNode[]}
+ */
+function findBlockNodes(nodes, name) {
+  return nodes.flatMap((node) => {
+    if (node.type !== 'block') return [];
+    return [...(node.name === name ? [node] : []), ...findBlockNodes(node.children, name)];
+  });
+}
+
+module.exports = {
+  registerBlock,
+  unregisterBlock,
+  getBlock,
+  getRegisteredBlocks,
+  splitBlockArgs,
+  readTagLine,
+  parseBlocks,
+  findBlockNodes
+};
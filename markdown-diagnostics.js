@@ -0,0 +1,113 @@
+/**
+ * Diagnostics for markdown pages: problems found while building them, with
+ * file, line and column. Errors fail `vite build`; in dev they are printed to
+ * the terminal and shown on top of the rendered page.
+ */
+
+/**
+ * @typedef {object} Diagnostic
+ * @property {'error'|'warning'} severity
+ * @property {string} code - Stable identifier, e.g. "unclosed-block"
+ * @property {string} message
+ * @property {number} line - 1-based line in the source file
+ * @property {number} column - 1-based column in the source file
+ * @property {string} [file] - Path relative to the project root
+ */
+
+/**
+ * Escapes text for HTML element content.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * @param {Diagnostic} diagnostic
+ * @returns {string} "file:line:column"
+ */
+function formatLocation(diagnostic) {
+  return [diagnostic.file, diagnostic.line, diagnostic.column].filter((part) => part !== undefined).join(':');
+}
+
+/**
+ * Formats a diagnostic as a single terminal line.
+ * @param {Diagnostic} diagnostic
+ * @returns {string}
+ */
+function formatDiagnostic(diagnostic) {
+  return `${formatLocation(diagnostic)} ${diagnostic.severity}: ${diagnostic.message} (${diagnostic.code})`;
+}
+
+/**
+ * @param {Diagnostic} diagnostic
+ * @returns {boolean}
+ */
+function isErrorDiagnostic(diagnostic) {
+  return diagnostic.severity === 'error';
+}
+
+/**
+ * Sorts diagnostics by file and position.
+ * @param {Diagnostic[]} diagnostics
+ * @returns {Diagnostic[]} New array
+ */
+function sortDiagnostics(diagnostics) {
+  return [...diagnostics].sort((a, b) =>
+    String(a.file || '').localeCompare(String(b.file || '')) || a.line - b.line || a.column - b.column
+  );
+}
+
+/**
+ * Formats diagnostics as a report grouped by file, with a summary line.
+ * @param {Diagnostic[]} diagnostics
+ * @returns {string}
+ */
+function formatDiagnosticsReport(diagnostics) {
+  const byFile = new Map();
+  for (const diagnostic of sortDiagnostics(diagnostics)) {
+    const file = diagnostic.file || '(unknown file)';
+    if (!byFile.has(file)) byFile.set(file, []);
+    byFile.get(file).push(diagnostic);
+  }
+
+  const sections = [...byFile].map(([file, fileDiagnostics]) => {
+    const rows = fileDiagnostics.map((d) => `  ${d.line}:${d.column}  ${d.severity}  ${d.message} (${d.code})`);
+    return [file, ...rows].join('\n');
+  });
+  const errors = diagnostics.filter(isErrorDiagnostic).length;
+  const summary = `${diagnostics.length} problem(s) in ${byFile.size} file(s): ${errors} error(s), ${diagnostics.length - errors} warning(s)`;
+  return [...sections, summary].join('\n\n');
+}
+
+/**
+ * Renders diagnostics as a notice for the top of a dev page.
+ * @param {Diagnostic[]} diagnostics
+ * @returns {string} HTML, empty when there is nothing to show
+ */
+function renderDiagnosticsHtml(diagnostics) {
+  if (!diagnostics || diagnostics.length === 0) return '';
+  const items = sortDiagnostics(diagnostics)
+    .map((d) =>
+      `<li class="content-diagnostics-${d.severity}"><code>${escapeHtml(formatLocation(d))}</code> ${escapeHtml(d.message)}</li>`
+    )
+    .join('\n');
+  return (
+    `<div class="content-diagnostics" role="alert">\n` +
+    `<p class="content-diagnostics-title">Ошибки разметки (видно только в dev-режиме)</p>\n` +
+    `<ul>\n${items}\n</ul>\n` +
+    `</div>\n`
+  );
+}
+
+module.exports = {
+  formatDiagnostic,
+  formatDiagnosticsReport,
+  isErrorDiagnostic,
+  sortDiagnostics,
+  renderDiagnosticsHtml
+};
@@ -0,0 +1,39 @@
+/**
+ * Markdown to HTML syntax tree (hast) and back, on remark/rehype with GFM tables, strikethrough
+ * and task lists. The unified packages are ES modules loaded through require(); keeping them
+ * behind this module lets tests swap in a small CommonJS stand-in.
+ */
+
+const { remark } = require('remark');
+const remarkGfm = require('remark-gfm').default;
+const remarkRehype = require('remark-rehype').default;
+const rehypeStringify = require('rehype-stringify').default;
+
+// Raw HTML in markdown is kept as `raw` nodes; block output is spliced in the same way
+const processor = remark()
+  .use(remarkGfm)
+  .use(remarkRehype, { allowDangerousHtml: true })
+  .use(rehypeStringify, { allowDangerousHtml: true, characterReferences: { useNamedReferences: true } });
+
+/**
+ * Parses markdown into a hast root. Node positions are relative to `markdown`.
+ * @param {string} markdown
+ * @returns {object} hast root
+ */
+function markdownToHast(markdown) {
+  return processor.runSync(processor.parse(markdown));
+}
+
+/**
+ * Serializes a hast tree; `raw` nodes are written as they are.
+ * @param {object} tree - hast root or node
+ * @returns {string}
+ */
+function hastToHtml(tree) {
+  return processor.stringify(tree.type === 'root' ? tree : { type: 'root', children: [tree] });
+}
+
+module.exports = {
+  markdownToHast,
+  hastToHtml
+};
@@ -0,0 +1,136 @@
+/**
+ * Cache of rendered markdown pages. Each entry keeps the hashes of the files the page was built
+ * from (markdown, template, partials, snippets, tables, documents, build modules) and is reused while
+ * all of them are unchanged. A lookup compares size and modification time first and hashes only
+ * the files whose stamp moved, so a cache hit costs a stat per file. The same records are the
+ * dependency graph that maps a changed file to the pages using it.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/** Bumped when the stored format changes; older cache files are ignored */
+const CACHE_VERSION = 2;
+
+/**
+ * Content hash of a file. Folders hash their recursive listing, so adding or removing a file counts
+ * as a change; a missing path hashes to null.
+ * @param {string} filePath
+ * @returns {string|null}
+ */
+function hashFile(filePath) {
+  try {
+    const source = fs.statSync(filePath).isDirectory()
+      ? fs.readdirSync(filePath, { recursive: true }).map(String).sort().join('\n')
+      : fs.readFileSync(filePath);
+    return crypto.createHash('sha1').update(source).digest('hex');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Cheap change marker checked before hashFile(): size and modification time of a file, or the
+ * latest modification time of a folder and its subfolders (adding, removing or renaming an entry
+ * touches the folder holding it); a missing path has no stamp.
+ * @param {string} filePath
+ * @returns {string|null}
+ */
+function fileStamp(filePath) {
+  try {
+    const stats = fs.statSync(filePath);
+    if (!stats.isDirectory()) return `${stats.size}:${stats.mtimeMs}`;
+    const latest = fs
+      .readdirSync(filePath, { recursive: true, withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .reduce((mtime, entry) => Math.max(mtime, fs.statSync(path.join(entry.parentPath || entry.path, entry.name)).mtimeMs), stats.mtimeMs);
+    return `dir:${latest}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * @typedef {object} PageCache
+ * @property {(key: string) => any} get - Cached value, or null when missing or any dependency changed
+ * @property {(key: string, dependencies: string[], value: any) => void} set - Stores a value with the current hashes of its files
+ * @property {(filePath: string) => string[]} dependents - Keys of the pages built from the file
+ * @property {(filePath: string) => string[]} invalidate - Drops the pages built from the file and returns their keys
+ * @property {() => void} save - Writes the entries used since creation to the cache file, if any
+ */
+
+/**
+ * Creates a page cache, in memory or backed by a JSON file that survives between builds.
+ * Keys are page paths such as "projects/lunevo" or "legal/privacy".
+ * @param {object} [options]
+ * @param {string|null} [options.cacheFile] - JSON file to load from and save to
+ * @returns {PageCache}
+ */
+function createPageCache({ cacheFile = null } = {}) {
+  const entries = new Map();
+  const used = new Set();
+
+  if (cacheFile && fs.existsSync(cacheFile)) {
+    try {
+      const stored = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+      if (stored.version === CACHE_VERSION) {
+        Object.entries(stored.entries || {}).forEach(([key, entry]) => entries.set(key, entry));
+      }
+    } catch (error) {
+      console.warn(`[page-cache] Ignoring unreadable ${cacheFile}: ${error.message}`);
+    }
+  }
+
+  const dependents = (filePath) => {
+    const normalized = path.normalize(filePath);
+    return [...entries].filter(([, entry]) => normalized in entry.files).map(([key]) => key);
+  };
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      const changed = Object.entries(entry.files).some(([file, record]) => {
+        const stamp = fileStamp(file);
+        if (stamp === record.stamp) return false;
+        if (hashFile(file) !== record.hash) return true;
+        // Touched but not changed (checkout, copy): keep the new stamp so the next lookup skips the hash
+        record.stamp = stamp;
+        return false;
+      });
+      if (changed) {
+        entries.delete(key);
+        return null;
+      }
+      used.add(key);
+      return entry.value;
+    },
+
+    set(key, dependencies, value) {
+      const files = [...new Set(dependencies.map((file) => path.normalize(file)))];
+      entries.set(key, { files: Object.fromEntries(files.map((file) => [file, { stamp: fileStamp(file), hash: hashFile(file) }])), value });
+      used.add(key);
+    },
+
+    dependents,
+
+    invalidate(filePath) {
+      const keys = dependents(filePath);
+      keys.forEach((key) => entries.delete(key));
+      return keys;
+    },
+
+    save() {
+      if (!cacheFile) return;
+      const kept = Object.fromEntries([...entries].filter(([key]) => used.has(key)));
+      fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+      fs.writeFileSync(cacheFile, JSON.stringify({ version: CACHE_VERSION, entries: kept }));
+    }
+  };
+}
+
+module.exports = {
+  hashFile,
+  createPageCache
+};
@@ -0,0 +1,135 @@
+/**
+ * Files listed by the [[documents]] block: resolves them in the page's docs/ folder,
+ * describes their type and size, and names their stable output path under dist/assets.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/** File type by extension: short label shown in the icon and CSS modifier */
+const DOCUMENT_TYPES = {
+  pdf: { label: 'PDF', kind: 'pdf' },
+  doc: { label: 'DOC', kind: 'doc' },
+  docx: { label: 'DOCX', kind: 'doc' },
+  rtf: { label: 'RTF', kind: 'doc' },
+  xls: { label: 'XLS', kind: 'sheet' },
+  xlsx: { label: 'XLSX', kind: 'sheet' },
+  csv: { label: 'CSV', kind: 'sheet' },
+  ppt: { label: 'PPT', kind: 'slides' },
+  pptx: { label: 'PPTX', kind: 'slides' },
+  zip: { label: 'ZIP', kind: 'archive' },
+  rar: { label: 'RAR', kind: 'archive' },
+  '7z': { label: '7Z', kind: 'archive' },
+  jpg: { label: 'JPG', kind: 'image' },
+  jpeg: { label: 'JPG', kind: 'image' },
+  png: { label: 'PNG', kind: 'image' }
+};
+
+const DOCS_FOLDER = 'docs';
+
+/**
+ * @typedef {object} DocumentEntry
+ * @property {string} file - Path inside docs/, with forward slashes
+ * @property {string} title - Link text: given title or file name without extension
+ * @property {string} description
+ * @property {string} sourcePath - Absolute path of the source file
+ * @property {boolean} exists
+ * @property {number} size - Bytes, 0 when the file is missing
+ * @property {{label: string, kind: string}} type
+ * @property {string|null} error - Why the row is invalid, if it is
+ */
+
+/**
+ * Formats a byte count the Russian way: "512 Б", "84 КБ", "1,2 МБ".
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatFileSize(bytes) {
+  const units = ['Б', 'КБ', 'МБ', 'ГБ'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  const rounded = unit === 0 || value >= 10 ? Math.round(value) : Math.round(value * 10) / 10;
+  return `${String(rounded).replace('.', ',')} ${units[unit]}`;
+}
+
+/**
+ * @param {string} file
+ * @returns {{label: string, kind: string}}
+ */
+function documentType(file) {
+  const ext = path.extname(file).slice(1).toLowerCase();
+  return DOCUMENT_TYPES[ext] || { label: ext ? ext.toUpperCase() : 'FILE', kind: 'other' };
+}
+
+/**
+ * Lists files in a docs folder recursively, sorted by path.
+ * @param {string} docsDir
+ * @param {string} [prefix='']
+ * @returns {string[]} Paths relative to docsDir with forward slashes
+ */
+function listDocsFolder(docsDir, prefix = '') {
+  const dir = path.join(docsDir, prefix);
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => !entry.name.startsWith('.'))
+    .flatMap((entry) => {
+      const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+      return entry.isDirectory() ? listDocsFolder(docsDir, relative) : [relative];
+    })
+    .sort((a, b) => a.localeCompare(b, 'ru'));
+}
+
+/**
+ * Resolves the rows of a [[documents]] body, or the whole docs/ folder when the body is empty.
+ * Rows are "file | title | description"; file is relative to docs/ ("docs/" prefix is optional).
+ * @param {string} body - Block body
+ * @param {string} pageDir - Folder of the markdown file
+ * @returns {DocumentEntry[]}
+ */
+function resolveDocuments(body, pageDir) {
+  const docsDir = path.join(pageDir, DOCS_FOLDER);
+  const rows = body.trim()
+    ? body.split('\n').map((line) => line.trim()).filter(Boolean).map((line) => line.split('|').map((cell) => cell.trim()))
+    : listDocsFolder(docsDir).map((file) => [file]);
+
+  return rows.map(([rawFile = '', title = '', description = '']) => {
+    const file = rawFile.replace(/\\/g, '/').replace(/^(?:\.\/)?docs\//, '');
+    const sourcePath = path.join(docsDir, file);
+    const outside = !file || path.isAbsolute(file) || file.split('/').includes('..');
+    const exists = !outside && fs.existsSync(sourcePath) && fs.statSync(sourcePath).isFile();
+    let error = null;
+    if (outside) error = `Document "${rawFile}" must be a path inside ${DOCS_FOLDER}/`;
+    else if (!exists) error = `Document "${rawFile}" not found in ${path.join(path.basename(pageDir), DOCS_FOLDER)}/`;
+    return {
+      file,
+      title: title || path.basename(file, path.extname(file)),
+      description,
+      sourcePath,
+      exists,
+      size: exists ? fs.statSync(sourcePath).size : 0,
+      type: documentType(file),
+      error
+    };
+  });
+}
+
+/**
+ * Output path of a document under dist, e.g. "assets/projects/lubenki/docs/egrn.pdf".
+ * @param {string} assetBase - "projects/<slug>" or "legal"
+ * @param {string} file - Path inside docs/
+ * @returns {string}
+ */
+function documentOutputPath(assetBase, file) {
+  return `assets/${assetBase}/${DOCS_FOLDER}/${file}`;
+}
+
+module.exports = {
+  formatFileSize,
+  resolveDocuments,
+  documentOutputPath
+};
@@ -0,0 +1,95 @@
+/**
+ * Parses dates written the way project pages write them in Russian:
+ * "30.04.2026", "04.2026", "апрель 2026", "IV кв. 2026", "2 полугодие 2026", "2026".
+ */
+
+const ROMAN_NUMERALS = { I: 1, II: 2, III: 3, IV: 4 };
+
+// Month names in nominative or genitive form, or abbreviated ("апр.")
+const MONTH_PATTERNS = [/^янв/, /^фев/, /^мар/, /^апр/, /^ма[йя]$/, /^июн/, /^июл/, /^авг/, /^сен/, /^окт/, /^ноя/, /^дек/];
+
+/**
+ * @typedef {object} RussianDate
+ * @property {'day'|'month'|'quarter'|'half'|'year'} precision
+ * @property {string} datetime - Machine-readable value for <time datetime>, e.g. "2026-10" for IV кв. 2026
+ * @property {string} label - Source text, trimmed
+ */
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * @param {string} text - "IV", "4"
+ * @param {number} max
+ * @returns {number|null}
+ */
+function parsePeriodNumber(text, max) {
+  const number = ROMAN_NUMERALS[text.toUpperCase()] || Number(text);
+  return Number.isInteger(number) && number >= 1 && number <= max ? number : null;
+}
+
+/**
+ * @param {string} word - "апреля", "апр.", "май"
+ * @returns {number|null} 1-based month
+ */
+function parseMonthName(word) {
+  const normalized = word.toLowerCase().replace(/\.$/, '');
+  const index = MONTH_PATTERNS.findIndex((pattern) => pattern.test(normalized));
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Parses a Russian date. Quarters and half-years resolve to their first month.
+ * @param {string} text
+ * @returns {RussianDate|null} null when the text is not a recognised date
+ */
+function parseRussianDate(text) {
+  const label = String(text || '').trim().replace(/\s+/g, ' ');
+  let match;
+
+  if ((match = label.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/))) {
+    const [, day, month, year] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return { precision: 'day', datetime: `${year}-${pad(month)}-${pad(day)}`, label };
+  }
+
+  if ((match = label.match(/^(\d{1,2})\.(\d{4})$/))) {
+    const month = Number(match[1]);
+    if (month < 1 || month > 12) return null;
+    return { precision: 'month', datetime: `${match[2]}-${pad(month)}`, label };
+  }
+
+  if ((match = label.match(/^([IV]+|\d)\s*(?:кв\.?|квартал)\s*(\d{4})(?:\s*г\.?)?$/i))) {
+    const quarter = parsePeriodNumber(match[1], 4);
+    if (!quarter) return null;
+    return { precision: 'quarter', datetime: `${match[2]}-${pad((quarter - 1) * 3 + 1)}`, label };
+  }
+
+  if ((match = label.match(/^([IV]+|\d)\s*(?:пол\.?|полугодие)\s*(\d{4})(?:\s*г\.?)?$/i))) {
+    const half = parsePeriodNumber(match[1], 2);
+    if (!half) return null;
+    return { precision: 'half', datetime: `${match[2]}-${pad(half === 1 ? 1 : 7)}`, label };
+  }
+
+  if ((match = label.match(/^([а-яё]+\.?)\s+(\d{4})(?:\s*г\.?)?$/i))) {
+    const month = parseMonthName(match[1]);
+    if (!month) return null;
+    return { precision: 'month', datetime: `${match[2]}-${pad(month)}`, label };
+  }
+
+  if ((match = label.match(/^(\d{4})(?:\s*г\.?)?$/))) {
+    return { precision: 'year', datetime: match[1], label };
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseRussianDate
+};
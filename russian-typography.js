@@ -0,0 +1,154 @@
+/**
+ * Russian typography for generated HTML and frontmatter text: non-breaking spaces after
+ * short words and between numbers and units, «ёлочки» instead of straight quotes,
+ * em dashes instead of spaced hyphens. Only text is changed: tags, attributes, code and URLs stay as written.
+ */
+
+const NBSP = '\u00a0';
+
+/** Prepositions, conjunctions and other short words bound to the next word */
+const SHORT_WORDS = [
+  'а', 'без', 'в', 'во', 'да', 'для', 'до', 'за', 'и', 'из', 'изо', 'или', 'к', 'ко', 'как', 'на', 'над',
+  'не', 'ни', 'но', 'о', 'об', 'обо', 'от', 'по', 'под', 'при', 'про', 'с', 'со', 'у', 'что'
+];
+
+/** Units and counters glued to the number before them */
+const UNITS =
+  'км|см|мм|м²|м³|м2|м|кв\\.|га|сот\\.|соток|сотки|%|₽|\\$|€|руб\\.?|рублей|рубля|рубль|тыс\\.?|млн|млрд|трлн|' +
+  'кг|т|г\\.|гг\\.|лет|года|году|год|мес\\.?|месяцев|месяца|дней|дня|дн\\.|ч\\.?|мин\\.?|шт\\.?|чел\\.?|человек|' +
+  'номеров|номера|этажей|этажа|этаж';
+const UNIT_AHEAD = `(?=(?:${UNITS})(?![A-Za-zА-Яа-яЁё0-9]))`;
+
+/** Elements whose text is never changed */
+const SKIPPED_ELEMENTS = ['code', 'pre', 'kbd', 'samp', 'script', 'style', 'textarea'];
+
+/** Closing tags that end a paragraph-like run: quote nesting does not continue past them */
+const BLOCK_END_TAG = /^<\/(?:p|li|h[1-6]|td|th|dt|dd|blockquote|figcaption|summary|div)>$/i;
+
+/** URLs and e-mails inside text, left untouched */
+const URL_PATTERN = /\b(?:https?:\/\/|tg:\/\/|www\.)[^\s<]+|[\w.+-]+@[\w-]+\.[\w.-]+/g;
+
+const SHORT_WORD_SPACE = new RegExp(`(?<=^|[\\s${NBSP}(«„—])(${SHORT_WORDS.join('|')})[ ]+`, 'gi');
+const PARTICLE_SPACE = /[ ]+(?=(?:ли|же|бы)(?=$|[\s\u00a0.,!?…:;)»]))/g;
+const GROUPED_NUMBER = new RegExp(`(?<![\\d.,:/-])(\\d{1,3}(?:[ ${NBSP}\u202f]\\d{3})+|\\d{5,})(?=(?:[.,]\\d+)?[ ${NBSP}]?${UNIT_AHEAD})`, 'g');
+const NUMBER_UNIT_SPACE = new RegExp(`(\\d)[ ]+${UNIT_AHEAD}`, 'g');
+
+/**
+ * @typedef {object} QuoteState
+ * @property {string} prev - Last character of the text seen so far in this run
+ * @property {number} depth - Open quotes: 1 for «», 2 and more for nested „“
+ */
+
+/**
+ * @returns {QuoteState}
+ */
+function createQuoteState() {
+  return { prev: '', depth: 0 };
+}
+
+/**
+ * Replaces straight quotes with «ёлочки», nested ones with „лапками“.
+ * A quote opens after a space, an opening bracket or a dash and closes otherwise.
+ * @param {string} text
+ * @param {QuoteState} state - Carried across text nodes of one paragraph
+ * @returns {string}
+ */
+function replaceQuotes(text, state) {
+  let result = '';
+  for (const char of text) {
+    if (char === '"') {
+      if (state.prev === '' || /[\s\u00a0([«„—-]/.test(state.prev)) {
+        result += state.depth === 0 ? '«' : '„';
+        state.depth++;
+      } else {
+        result += state.depth >= 2 ? '“' : '»';
+        state.depth = Math.max(0, state.depth - 1);
+      }
+    } else {
+      result += char;
+    }
+    state.prev = result[result.length - 1];
+  }
+  return result;
+}
+
+/**
+ * Applies the typography rules to plain text (no tags). URLs are kept as they are.
+ * @param {string} text
+ * @param {QuoteState} [state] - Quote state shared with neighbouring text nodes
+ * @returns {string}
+ */
+function typographText(text, state = createQuoteState()) {
+  const urls = [];
+  const masked = String(text).replace(URL_PATTERN, (url) => {
+    urls.push(url);
+    return `\u0000${urls.length - 1}\u0000`;
+  });
+
+  const typographed = replaceQuotes(masked, state)
+    .replace(/[ \u00a0]+(?:-{1,2}|–|—)[ ]+/g, `${NBSP}— `)
+    .replace(SHORT_WORD_SPACE, `$1${NBSP}`)
+    .replace(PARTICLE_SPACE, NBSP)
+    .replace(GROUPED_NUMBER, (number) => {
+      // Groups already separated by (narrow) non-breaking spaces are kept as written
+      if (!/^\d+$/.test(number) && !number.includes(' ')) return number;
+      const digits = number.replace(/ /g, '');
+      return digits.length > 4 ? digits.replace(/\B(?=(\d{3})+$)/g, NBSP) : number.replace(/ /g, NBSP);
+    })
+    .replace(NUMBER_UNIT_SPACE, `$1${NBSP}`)
+    .replace(/([№§])[ ]*(?=\d)/g, `$1${NBSP}`)
+    .replace(/(кв\.|т\.)[ ]+(?=[мдпе]\.?(?![А-Яа-яЁё]))/g, `$1${NBSP}`);
+
+  return typographed.replace(/\u0000(\d+)\u0000/g, (match, index) => urls[Number(index)]);
+}
+
+/**
+ * Applies the typography rules to the text nodes of an HTML fragment. Tags, attributes, comments
+ * and the content of code-like elements are copied unchanged; &nbsp; and &quot; in text are
+ * treated as the characters they stand for.
+ * @param {string} html
+ * @returns {string}
+ */
+function typographHtml(html) {
+  const tokens = String(html || '').split(/(<!--[\s\S]*?-->|<[^>]+>)/);
+  const state = createQuoteState();
+  let skipped = null;
+
+  return tokens
+    .map((token, index) => {
+      if (index % 2 === 1) {
+        const tag = token.match(/^<(\/?)([a-z][a-z0-9]*)/i);
+        if (tag && SKIPPED_ELEMENTS.includes(tag[2].toLowerCase())) {
+          if (!tag[1] && !skipped) skipped = tag[2].toLowerCase();
+          else if (tag[1] && skipped === tag[2].toLowerCase()) skipped = null;
+        }
+        if (BLOCK_END_TAG.test(token)) Object.assign(state, createQuoteState());
+        return token;
+      }
+      if (skipped || token === '') return token;
+      const text = token.replace(/&nbsp;/g, NBSP).replace(/&quot;/g, '"');
+      return typographText(text, state).replace(/"/g, '&quot;');
+    })
+    .join('');
+}
+
+/**
+ * Typographs the text values of frontmatter; links, slugs and non-strings are kept.
+ * @param {Object} metadata
+ * @returns {Object}
+ */
+function typographFrontmatter(metadata) {
+  const result = { ...metadata };
+  for (const [key, value] of Object.entries(result)) {
+    if (typeof value !== 'string' || /(?:^|_)(?:link|url|slug)$/.test(key) || /^[a-z]+:\/\//i.test(value)) continue;
+    result[key] = typographText(value);
+  }
+  return result;
+}
+
+module.exports = {
+  UNITS,
+  typographText,
+  typographHtml,
+  typographFrontmatter
+};
@@ -35,9 +35,9 @@ const GALLERY_MOMENTUM_DECAY = 5.5;
 const GALLERY_MOMENTUM_VEL_BLEND = 0.35;
 
 /** Левый край слайда в координатах содержимого скроллера (для кнопок и snap). */
-function gallerySlideContentLeft(scroller, picture) {
+function gallerySlideContentLeft(scroller, slide) {
     const sr = scroller.getBoundingClientRect();
-    const pr = picture.getBoundingClientRect();
+    const pr = slide.getBoundingClientRect();
     return scroller.scrollLeft + (pr.left - sr.left);
 }
 
@@ -53,7 +53,7 @@ function galleryScrollBehavior() {
 }
 
 function snapGalleryNearest(scroller) {
-    const list = [...scroller.querySelectorAll('picture')];
+    const list = [...scroller.querySelectorAll('.content-gallery-slide')];
     if (!list.length) return;
     const maxS = Math.max(0, scroller.scrollWidth - scroller.clientWidth);
     const sl = scroller.scrollLeft;
@@ -392,7 +392,7 @@ function initContentGalleryCarousels() {
 
         attachGalleryDragScroll(scroller);
 
-        const slides = () => [...scroller.querySelectorAll('picture')];
+        const slides = () => [...scroller.querySelectorAll('.content-gallery-slide')];
         const edgePad = 4;
 
         prev.addEventListener('click', () => {
@@ -431,10 +431,184 @@ function initContentGalleryCarousels() {
     });
 }
 
+/**
+ * [[video]]: до клика показываем только заглушку, плеер (iframe) вставляем по нажатию,
+ * чтобы сторонний скрипт не грузился вместе со страницей.
+ */
+function initContentVideoFacades() {
+    document.querySelectorAll('.content-video[data-video-src]').forEach((root) => {
+        const facade = root.querySelector('.content-video-facade');
+        if (!facade || root.dataset.contentVideoReady === '1') return;
+        root.dataset.contentVideoReady = '1';
+
+        facade.addEventListener('click', () => {
+            const src = new URL(root.dataset.videoSrc);
+            src.searchParams.set('autoplay', '1');
+
+            const iframe = document.createElement('iframe');
+            iframe.src = src.toString();
+            iframe.title = root.dataset.videoTitle || 'Видео';
+            // Те же sandbox и allow, что у [[iframe]] с этого хоста (iframe-allowlist.js)
+            iframe.setAttribute('sandbox', root.dataset.videoSandbox || '');
+            iframe.allow = root.dataset.videoAllow || '';
+            iframe.allowFullscreen = true;
+            iframe.referrerPolicy = 'strict-origin-when-cross-origin';
+
+            facade.replaceWith(iframe);
+            root.classList.add('content-video--loaded');
+            iframe.focus();
+        });
+    });
+}
+
+/**
+ * [[compare]]: без JS «было» и «стало» идут друг под другом; здесь накладываем их и добавляем
+ * ползунок — перетаскивание (Pointer Events) и клавиши ←/→, Home/End, PageUp/PageDown.
+ */
+function initContentCompareSliders() {
+    document.querySelectorAll('.content-compare').forEach((root) => {
+        if (root.dataset.contentCompareReady === '1') return;
+        const before = root.querySelector('.content-compare-before');
+        const after = root.querySelector('.content-compare-after');
+        if (!before || !after) return;
+        root.dataset.contentCompareReady = '1';
+
+        const handle = document.createElement('div');
+        handle.className = 'content-compare-handle';
+        handle.tabIndex = 0;
+        handle.setAttribute('role', 'slider');
+        handle.setAttribute('aria-label', 'Сравнение: было и стало');
+        handle.setAttribute('aria-valuemin', '0');
+        handle.setAttribute('aria-valuemax', '100');
+        root.appendChild(handle);
+
+        const setPosition = (value) => {
+            const position = Math.min(100, Math.max(0, Math.round(value)));
+            root.style.setProperty('--compare-position', `${position}%`);
+            handle.setAttribute('aria-valuenow', String(position));
+            handle.setAttribute('aria-valuetext', `${position}% «было»`);
+        };
+        const positionFromPointer = (event) => {
+            const rect = root.getBoundingClientRect();
+            return ((event.clientX - rect.left) / rect.width) * 100;
+        };
+        const current = () => Number(handle.getAttribute('aria-valuenow'));
+
+        root.addEventListener('pointerdown', (event) => {
+            if (event.button !== 0) return;
+            root.setPointerCapture(event.pointerId);
+            root.classList.add('content-compare--dragging');
+            setPosition(positionFromPointer(event));
+            handle.focus({ preventScroll: true });
+        });
+        root.addEventListener('pointermove', (event) => {
+            if (root.hasPointerCapture(event.pointerId)) setPosition(positionFromPointer(event));
+        });
+        const stopDragging = () => root.classList.remove('content-compare--dragging');
+        root.addEventListener('pointerup', stopDragging);
+        root.addEventListener('pointercancel', stopDragging);
+
+        handle.addEventListener('keydown', (event) => {
+            const steps = { ArrowLeft: -5, ArrowDown: -5, ArrowRight: 5, ArrowUp: 5, PageDown: -20, PageUp: 20 };
+            if (event.key === 'Home') setPosition(0);
+            else if (event.key === 'End') setPosition(100);
+            else if (event.key in steps) setPosition(current() + steps[event.key]);
+            else return;
+            event.preventDefault();
+        });
+
+        setPosition(50);
+        root.classList.add('content-compare--ready');
+    });
+}
+
+/**
+ * Фото проектов с размытым превью (picture.content-picture-placeholder): ещё не загруженное
+ * изображение прячем и проявляем по load, превью остаётся фоном до этого. Без JS фото
+ * просто рисуется поверх превью.
+ */
+function initContentPicturePlaceholders() {
+    document.querySelectorAll('.content-picture-placeholder').forEach((picture) => {
+        const img = picture.querySelector('img');
+        if (!img || picture.dataset.contentPictureReady === '1') return;
+        picture.dataset.contentPictureReady = '1';
+
+        const clearBackground = () => {
+            picture.style.backgroundImage = 'none';
+        };
+        const reveal = () => {
+            picture.classList.remove('content-picture--loading');
+            // После проявления фон не нужен: не просвечивает сквозь PNG с прозрачностью.
+            // transitionend не приходит, если перехода нет (reduced motion, отключённые
+            // анимации, скрытый блок), поэтому фон убираем по таймеру длиной в переход.
+            const duration = parseFloat(getComputedStyle(img).transitionDuration) || 0;
+            if (duration > 0) {
+                setTimeout(clearBackground, duration * 1000);
+            } else {
+                clearBackground();
+            }
+        };
+        // Уже загружено из кэша или уже не загрузилось — событий не будет
+        if (img.complete) {
+            clearBackground();
+            return;
+        }
+        picture.classList.add('content-picture--loading');
+        img.addEventListener('load', reveal, { once: true });
+        // Битая ссылка: показываем alt вместо вечной заглушки
+        img.addEventListener('error', reveal, { once: true });
+    });
+}
+
+/**
+ * Якоря заголовков: по клику на «#» копируем ссылку на раздел (для Telegram)
+ * и ставим хеш в адресную строку; если буфер обмена недоступен, работает как обычная ссылка.
+ */
+function initContentHeadingAnchors() {
+    document.querySelectorAll('.content-heading-anchor').forEach((anchor) => {
+        if (anchor.dataset.contentAnchorReady === '1') return;
+        anchor.dataset.contentAnchorReady = '1';
+
+        anchor.addEventListener('click', (event) => {
+            if (!navigator.clipboard) return;
+            event.preventDefault();
+            const url = new URL(anchor.getAttribute('href'), window.location.href);
+            history.replaceState(null, '', url.hash);
+            navigator.clipboard.writeText(url.toString()).then(() => {
+                anchor.classList.add('content-heading-anchor--copied');
+                setTimeout(() => anchor.classList.remove('content-heading-anchor--copied'), 2000);
+            }, () => {
+                window.location.hash = url.hash;
+            });
+        });
+    });
+}
+
+/**
+ * Ключ страницы в кэше дев-сервера (vite.config.js) по адресу: /projects/lunevo и
+ * /projects/lunevo.html → "projects/lunevo", /legal/ → "legal/index".
+ * @param {string} pathname
+ * @returns {string}
+ */
+function pageKeyFromPath(pathname) {
+    return pathname.replace(/^\//, '').replace(/\/$/, '/index').replace(/\.html$/, '');
+}
+
+// Дев-сервер: после правки markdown перезагружаются только вкладки с изменившимися страницами
+if (import.meta.hot) {
+    import.meta.hot.on('redevest:pages-changed', ({ keys }) => {
+        if (keys.includes(pageKeyFromPath(window.location.pathname))) window.location.reload();
+    });
+}
+
 if (typeof document !== 'undefined') {
     function initCommonUi() {
         initContentToggleDetails();
         initContentGalleryCarousels();
+        initContentVideoFacades();
+        initContentHeadingAnchors();
+        initContentCompareSliders();
+        initContentPicturePlaceholders();
     }
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', initCommonUi);
@@ -448,5 +622,9 @@ export {
     toggleMobileMenu,
     initContentToggleDetails,
     initContentGalleryCarousels,
+    initContentVideoFacades,
+    initContentHeadingAnchors,
+    initContentCompareSliders,
+    initContentPicturePlaceholders,
     attachGalleryDragScroll,
 };
@@ -0,0 +1,84 @@
+/**
+ * schema.org structured data (JSON-LD) built from page content.
+ * FAQ entries come from [[toggle | question]] blocks, see processMarkdownFile.
+ */
+
+/**
+ * @typedef {object} FaqEntry
+ * @property {string} question - Plain text
+ * @property {string} answer - Plain text, paragraphs separated by blank lines
+ */
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  laquo: '«',
+  raquo: '»',
+  mdash: '—',
+  ndash: '–',
+  hellip: '…'
+};
+
+/**
+ * Converts rendered HTML to plain text: block elements become line breaks, tags are dropped,
+ * entities are decoded and whitespace is collapsed.
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToPlainText(html) {
+  return String(html || '')
+    .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(?:p|div|li|h[1-6]|tr|blockquote|figure|details)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        // Out-of-range references (&#99999999;) would make fromCodePoint throw
+        return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : '';
+      }
+      return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+    })
+    .split(/\n{2,}/)
+    .map((paragraph) => paragraph.split('\n').map((line) => line.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n'))
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Serializes JSON-LD for an inline script; "<" is escaped so content cannot close the tag.
+ * @param {Object} data
+ * @returns {string}
+ */
+function jsonLdScript(data) {
+  const json = JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+  return `<script type="application/ld+json">\n${json}\n</script>`;
+}
+
+/**
+ * Builds a FAQPage JSON-LD script from question/answer pairs.
+ * @param {FaqEntry[]} entries
+ * @returns {string} Script tag, or '' when there is nothing to describe
+ */
+function faqPageJsonLd(entries) {
+  const questions = (entries || []).filter(({ question, answer }) => question && answer);
+  if (questions.length === 0) return '';
+  return jsonLdScript({
+    '@context': 'https://schema.org',
+    '@type': 'FAQPage',
+    mainEntity: questions.map(({ question, answer }) => ({
+      '@type': 'Question',
+      name: question,
+      acceptedAnswer: { '@type': 'Answer', text: answer }
+    }))
+  });
+}
+
+module.exports = {
+  htmlToPlainText,
+  faqPageJsonLd
+};
@@ -14,6 +14,72 @@ module.exports = {
         'content-callout-inline',
         'content-table',
         'content-table-container',
+        'content-diagnostics',
+        'content-diagnostics-title',
+        'content-diagnostics-error',
+        'content-diagnostics-warning',
+        'content-timeline',
+        'content-timeline-item',
+        'content-timeline-item--done',
+        'content-timeline-item--current',
+        'content-timeline-item--planned',
+        'content-timeline-marker',
+        'content-timeline-date',
+        'content-timeline-title',
+        'content-timeline-status',
+        'content-kpi',
+        'content-kpi-card',
+        'content-kpi-label',
+        'content-kpi-value',
+        'content-kpi-hint',
+        'content-gallery-slide',
+        'content-video',
+        'content-video-facade',
+        'content-video-play',
+        'content-video-title',
+        'content-video-provider',
+        'content-video-poster',
+        'content-documents',
+        'content-documents-item',
+        'content-documents-link',
+        'content-documents-icon',
+        'content-documents-icon--pdf',
+        'content-documents-icon--sheet',
+        'content-documents-icon--doc',
+        'content-documents-icon--slides',
+        'content-documents-icon--archive',
+        'content-documents-icon--image',
+        'content-documents-body',
+        'content-documents-title',
+        'content-documents-meta',
+        'content-documents-description',
+        'content-heading-anchor',
+        'content-heading-anchor--copied',
+        'content-toc',
+        'content-toc-title',
+        'content-toc-list',
+        'content-toc-sublist',
+        'content-compare',
+        'content-compare--ready',
+        'content-compare--dragging',
+        'content-compare-item',
+        'content-compare-before',
+        'content-compare-after',
+        'content-compare-label',
+        'content-compare-handle',
+        'content-cta',
+        'content-cta-text',
+        'content-table-row--highlight',
+        'content-callout-risk',
+        'content-callout-title',
+        'content-callout-icon',
+        'content-columns--ratio',
+        'content-columns--reverse-mobile',
+        'content-columns--top',
+        'content-columns--center',
+        'content-columns--bottom',
+        'content-picture-placeholder',
+        'content-picture--loading',
         'border-blue-500',
         'bg-blue-50',
         'border-green-500',
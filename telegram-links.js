@@ -43,4 +43,23 @@ function tmeToTg(url) {
   return `tg://resolve?domain=${domain}`;
 }
 
-module.exports = { tmeToTg };
+/** Start payloads allowed by Telegram and MAX bots: up to 64 of A-Z, a-z, 0-9, _ and - */
+const START_PAYLOAD = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Sets the start payload of a bot deep link (tg://resolve, t.me or max.ru), replacing the existing one.
+ * @param {string} url
+ * @param {string} payload
+ * @returns {string}
+ */
+function withStartPayload(url, payload) {
+  if (!url || !payload) {
+    return url;
+  }
+
+  const parsed = new URL(url);
+  parsed.searchParams.set('start', payload);
+  return parsed.toString();
+}
+
+module.exports = { tmeToTg, withStartPayload, START_PAYLOAD };
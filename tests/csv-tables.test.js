@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCsv, formatNumberCell, columnAlignments, readCsvTable } = require('../csv-tables');
+
+const NBSP = '\u00a0';
+
+describe('csv tables', () => {
+  test('parses semicolon CSV from Excel with BOM, quotes and CRLF', () => {
+    const csv = '\ufeffМесяц;Сумма;Комментарий\r\nЯнварь;"150000,5";"Он сказал ""да"""\r\n\r\n';
+    expect(parseCsv(csv)).toEqual([
+      ['Месяц', 'Сумма', 'Комментарий'],
+      ['Январь', '150000,5', 'Он сказал "да"']
+    ]);
+  });
+
+  test('parses comma CSV with quoted delimiters and line breaks', () => {
+    expect(parseCsv('a,b\n"x, y","line 1\nline 2"')).toEqual([['a', 'b'], ['x, y', 'line 1\nline 2']]);
+  });
+
+  test('formats numbers with a decimal comma and non-breaking thousand separators', () => {
+    expect(formatNumberCell('1500000')).toBe(`1${NBSP}500${NBSP}000`);
+    expect(formatNumberCell('1 200 000 ₽')).toBe(`1${NBSP}200${NBSP}000${NBSP}₽`);
+    expect(formatNumberCell('-12.5')).toBe('−12,5');
+    expect(formatNumberCell('8.5%')).toBe('8,5%');
+    expect(formatNumberCell('2026')).toBe('2026');
+    expect(formatNumberCell('Итого')).toBe('Итого');
+  });
+
+  test('treats only known units after a number as numeric', () => {
+    expect(formatNumberCell('120 м²')).toBe(`120${NBSP}м²`);
+    expect(formatNumberCell('12 мая')).toBe('12 мая');
+    expect(columnAlignments([['Дата', 'Площадь'], ['12 мая', '120 м²'], ['3 июня', '85,5 м²']])).toEqual(['left', 'right']);
+  });
+
+  test('right-aligns numeric columns unless alignment is given', () => {
+    const rows = [['Месяц', 'Сумма', 'Год'], ['Январь', '100', '2026'], ['Февраль', '', '2027']];
+    expect(columnAlignments(rows)).toEqual(['left', 'right', 'right']);
+    expect(columnAlignments(rows, 'c l')).toEqual(['center', 'left', 'right']);
+  });
+
+  describe('readCsvTable', () => {
+    let pageDir;
+
+    beforeAll(() => {
+      pageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-tables-'));
+      fs.mkdirSync(path.join(pageDir, 'data'));
+      fs.writeFileSync(path.join(pageDir, 'data', 'rent.csv'), 'Месяц,Сумма\nЯнварь,100\n');
+      fs.writeFileSync(path.join(pageDir, 'data', 'header.csv'), 'Месяц,Сумма\n');
+    });
+
+    afterAll(() => {
+      fs.rmSync(pageDir, { recursive: true, force: true });
+    });
+
+    test('reads a CSV next to the markdown file', () => {
+      expect(readCsvTable('./data/rent.csv', pageDir)).toMatchObject({
+        rows: [['Месяц', 'Сумма'], ['Январь', '100']],
+        error: null
+      });
+    });
+
+    test('reports missing, empty and outside files', () => {
+      expect(readCsvTable('data/none.csv', pageDir).error).toBe('Table "data/none.csv" not found next to the markdown file');
+      expect(readCsvTable('data/header.csv', pageDir).error).toBe('Table "data/header.csv" needs a header row and at least one data row');
+      expect(readCsvTable('../rent.csv', pageDir).error).toBe('Table "../rent.csv" must be a path inside the page folder');
+    });
+  });
+});
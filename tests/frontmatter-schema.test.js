@@ -0,0 +1,42 @@
+const { validateFrontmatter } = require('../frontmatter-schema');
+
+describe('frontmatter schema', () => {
+  const project = {
+    title: 'Лубёнки',
+    slug: 'lubenki',
+    bot_link: 'tg://resolve?domain=FlippingInvestBot&start=c1-ds',
+    max_bot_link: 'https://max.ru/id1_bot?start=c1-ds',
+    cta_heading: 'Материалы'
+  };
+
+  test('accepts a valid project page', () => {
+    expect(validateFrontmatter(project, { pageType: 'project' })).toEqual([]);
+  });
+
+  test('treats an empty optional key as absent', () => {
+    expect(validateFrontmatter({ ...project, max_bot_link: '' }, { pageType: 'project' })).toEqual([]);
+  });
+
+  test('reports missing, mistyped and malformed keys at their lines', () => {
+    const fileContent = '---\ntitle: 42\ncta_link: "http://example.com"\n---\nText';
+    const diagnostics = validateFrontmatter({ title: 42, cta_link: 'http://example.com' }, { pageType: 'legal', fileContent });
+    expect(diagnostics.map((d) => [d.severity, d.code, d.line])).toEqual([
+      ['error', 'invalid-frontmatter-type', 2],
+      ['error', 'missing-frontmatter-key', 1],
+      ['error', 'invalid-frontmatter-format', 3]
+    ]);
+    expect(diagnostics[1].message).toBe('Frontmatter key "description" is required for legal pages');
+  });
+
+  test('warns about unknown keys', () => {
+    const fileContent = '---\ntitle: "x"\ncta_buton: "Go"\n---\n';
+    const diagnostics = validateFrontmatter({ ...project, cta_buton: 'Go' }, { pageType: 'project', fileContent });
+    expect(diagnostics).toEqual([
+      { severity: 'warning', code: 'unknown-frontmatter-key', message: 'Unknown frontmatter key "cta_buton" for project pages', line: 3, column: 1 }
+    ]);
+  });
+
+  test('rejects an unknown page type', () => {
+    expect(() => validateFrontmatter({}, { pageType: 'blog' })).toThrow('Unknown page type "blog"');
+  });
+});
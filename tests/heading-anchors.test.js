@@ -0,0 +1,44 @@
+const { slugifyHeading, addHeadingAnchors, tocMarker, fillTocMarkers } = require('../heading-anchors');
+
+describe('heading anchors', () => {
+  test('transliterates headings into stable slugs', () => {
+    expect(slugifyHeading('5. Порядок оплаты')).toBe('5-poryadok-oplaty');
+    expect(slugifyHeading('Щука, ёж и <em>съезд</em>')).toBe('shchuka-ezh-i-sezd');
+    expect(slugifyHeading('Риски &amp; доходность')).toBe('riski-dokhodnost');
+    expect(slugifyHeading('—')).toBe('section');
+  });
+
+  test('adds ids and copy-link anchors to H2/H3 and numbers repeats', () => {
+    const { html, headings } = addHeadingAnchors('<h2>Риски</h2>\n<h3>Риски</h3>\n<h4>Мелочь</h4>');
+    expect(html).toBe(
+      '<h2 id="riski">Риски<a class="content-heading-anchor" href="#riski" aria-label="Скопировать ссылку на раздел">#</a></h2>\n' +
+      '<h3 id="riski-2">Риски<a class="content-heading-anchor" href="#riski-2" aria-label="Скопировать ссылку на раздел">#</a></h3>\n' +
+      '<h4>Мелочь</h4>'
+    );
+    expect(headings.map(({ level, id }) => [level, id])).toEqual([[2, 'riski'], [3, 'riski-2']]);
+  });
+
+  test('fills [[toc]] markers with a nested list', () => {
+    const { html, headings } = addHeadingAnchors('<!--content-toc:Содержание-->\n<h3>Вступление</h3><h2>Проект</h2><h3>Локация</h3><h2>Риски</h2>');
+    const toc = fillTocMarkers(html, headings);
+    expect(toc).toContain('<nav class="content-toc" aria-label="Содержание">');
+    expect(toc).toContain(
+      '<ol class="content-toc-list"><li><a href="#vstuplenie">Вступление</a></li>' +
+      '<li><a href="#proekt">Проект</a><ol class="content-toc-sublist"><li><a href="#lokatsiya">Локация</a></li></ol></li>' +
+      '<li><a href="#riski">Риски</a></li></ol>'
+    );
+  });
+
+  test('escapes the title carried by the marker', () => {
+    const { value } = tocMarker('Риски <b> & "доход"');
+    expect(value).not.toMatch(/[<>"]/);
+    const marker = `<!--${value}-->`;
+    const toc = fillTocMarkers(marker, [{ level: 2, id: 'riski', html: 'Риски' }]);
+    expect(toc).toContain('<nav class="content-toc" aria-label="Риски &lt;b&gt; &amp; &quot;доход&quot;">');
+    expect(toc).toContain('<p class="content-toc-title">Риски &lt;b&gt; &amp; &quot;доход&quot;</p>');
+  });
+
+  test('drops the marker when the page has no headings', () => {
+    expect(fillTocMarkers('<!--content-toc:Содержание--><p>Текст</p>', [])).toBe('<p>Текст</p>');
+  });
+});
@@ -0,0 +1,104 @@
+const { sanitizeHtml, sanitizeTree } = require('../html-sanitizer');
+
+describe('html-sanitizer', () => {
+  const collect = () => {
+    const problems = [];
+    return { problems, report: (code, message, node) => problems.push(node ? [code, message, node.position.start.line] : [code, message]) };
+  };
+
+  test('keeps allowed markup byte for byte', () => {
+    const html =
+      '<div class="content-columns content-columns--ratio" style="--content-columns: 2fr 1fr"><a href="tg://resolve?domain=x&amp;start=y" target="_blank">Бот</a>' +
+      '<a href="mailto:info@rede-vest.ru">Почта</a><iframe src="https://rutube.ru/play/embed/abc/" allowfullscreen></iframe>' +
+      '<picture class="content-picture-placeholder" style="background-image: url(data:image/webp;base64,UklGRg==)"><img src="a.jpg" alt="" width="16" height="9" style="aspect-ratio: 16 / 9"></picture></div>';
+    const { problems, report } = collect();
+    expect(sanitizeHtml(html, report)).toBe(html);
+    expect(problems).toEqual([]);
+  });
+
+  test('removes scripts with their content, event handlers and foreign classes', () => {
+    const { problems, report } = collect();
+    const html = sanitizeHtml('<p onclick="steal()" class="content-lead hero">Текст<script>alert(1)</script></p><font color="red">остаётся</font>', report);
+
+    expect(html).toBe('<p class="content-lead">Текст</p>остаётся');
+    expect(problems).toEqual([
+      ['disallowed-html-attribute', 'Removed event handler "onclick" from <p>'],
+      ['disallowed-html-class', 'Removed class "hero" from <p>'],
+      ['disallowed-html-tag', 'Removed <script> with its content'],
+      ['disallowed-html-tag', 'Removed <font> tag, its content is kept']
+    ]);
+  });
+
+  test('removes comments, so no [[toc]] marker can be written by hand', () => {
+    const { problems, report } = collect();
+    const html = sanitizeHtml('<p>Текст<!--content-toc:<img src=x onerror=alert(1)--></p><!-- заметка -->', report);
+
+    expect(html).toBe('<p>Текст</p>');
+    expect(problems).toEqual([
+      ['disallowed-html-comment', 'Removed HTML comment'],
+      ['disallowed-html-comment', 'Removed HTML comment']
+    ]);
+  });
+
+  test('removes links with other schemes, also when hidden by entities or whitespace', () => {
+    const { problems, report } = collect();
+    const html = sanitizeHtml('<a href="javascript:alert(1)">a</a><a href="&#106;avascript:x">b</a><a href="java\tscript:x">c</a><a href="http://example.com">d</a><a href="#faq">e</a>', report);
+
+    expect(html).toBe('<a>a</a><a>b</a><a>c</a><a>d</a><a href="#faq">e</a>');
+    expect(problems.map(([code]) => code)).toEqual(Array(4).fill('disallowed-url-scheme'));
+    expect(problems[1][1]).toBe('Removed href="javascript:x" from <a>: only https:, tg:, mailto: and relative links are allowed');
+  });
+
+  test('allows only inline WebP placeholders as picture backgrounds', () => {
+    const { problems, report } = collect();
+    const html = sanitizeHtml('<picture style="background-image: url(https://evil.example/x.webp)"></picture><picture style="background-image: url(data:image/webp;base64,UklGRg==); color: red"></picture>', report);
+
+    expect(html).toBe('<picture></picture><picture></picture>');
+    expect(problems.map(([code]) => code)).toEqual(['disallowed-html-attribute', 'disallowed-html-attribute']);
+  });
+
+  test('removes iframes from hosts outside the allowlist and escapes leftover "<"', () => {
+    const { problems, report } = collect();
+    expect(sanitizeHtml('<iframe src="https://evil.example/x"></iframe><scr<script>x</script>ipt>', report)).toBe('&lt;script>');
+    expect(problems.map(([, message]) => message)).toEqual([
+      'Removed <iframe> from "https://evil.example/x": the host is not in iframe-allowlist.js',
+      'Removed <script> with its content'
+    ]);
+  });
+
+  test('checks elements and reports at their source line', () => {
+    const at = (line) => ({ start: { line, column: 1 }, end: { line, column: 1 } });
+    const tree = {
+      type: 'root',
+      children: [
+        {
+          type: 'element',
+          tagName: 'p',
+          properties: {},
+          position: at(3),
+          children: [
+            { type: 'element', tagName: 'a', properties: { href: 'javascript:alert(1)' }, position: at(3), children: [{ type: 'text', value: 'a' }] },
+            { type: 'raw', value: '<script>', position: at(4) },
+            { type: 'text', value: 'alert(1)' },
+            { type: 'raw', value: '</script>', position: at(4) },
+            { type: 'element', tagName: 'img', properties: { src: 'images/a.jpg', alt: '', className: ['content-photo', 'big'] }, children: [] }
+          ]
+        }
+      ]
+    };
+    const { problems, report } = collect();
+    sanitizeTree(tree, report);
+
+    expect(tree.children[0].children).toEqual([
+      { type: 'element', tagName: 'a', properties: {}, position: at(3), children: [{ type: 'text', value: 'a' }] },
+      { type: 'raw', value: '', position: at(4) },
+      { type: 'raw', value: '', position: at(4) },
+      { type: 'element', tagName: 'img', properties: { src: 'images/a.jpg', alt: '', className: ['content-photo'] }, children: [] }
+    ]);
+    expect(problems.map(([code, , line]) => [code, line])).toEqual([
+      ['disallowed-url-scheme', 3],
+      ['disallowed-html-tag', 4],
+      ['disallowed-html-class', 3]
+    ]);
+  });
+});
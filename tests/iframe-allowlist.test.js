@@ -0,0 +1,42 @@
+const { IFRAME_HOSTS, findIframeHost, parseAspectRatio } = require('../iframe-allowlist');
+
+describe('iframe allowlist', () => {
+  test('matches exact hosts and wildcard subdomains', () => {
+    expect(findIframeHost('https://rutube.ru/play/embed/abc/')).toMatchObject({ host: 'rutube.ru' });
+    expect(findIframeHost('https://portfolio5.3dpanorama.spb.ru/tour/')).toMatchObject({ host: '*.3dpanorama.spb.ru' });
+  });
+
+  test('rejects other hosts, lookalikes and non-https URLs', () => {
+    expect(findIframeHost('https://example.com/')).toBeNull();
+    expect(findIframeHost('https://rutube.ru.example.com/')).toBeNull();
+    expect(findIframeHost('https://evil3dpanorama.spb.ru/')).toBeNull();
+    expect(findIframeHost('http://rutube.ru/play/embed/abc/')).toBeNull();
+    expect(findIframeHost('javascript:alert(1)')).toBeNull();
+    expect(findIframeHost('')).toBeNull();
+  });
+
+  test('accepts a custom host list', () => {
+    const hosts = [{ host: 'maps.example.com', sandbox: 'allow-scripts', allow: '' }];
+    expect(findIframeHost('https://maps.example.com/x', hosts)).toBe(hosts[0]);
+  });
+
+  test('defines sandbox and allow for every host', () => {
+    IFRAME_HOSTS.forEach((entry) => {
+      expect(entry.sandbox).toEqual(expect.any(String));
+      expect(entry.allow).toEqual(expect.any(String));
+    });
+  });
+
+  test.each([
+    ['16:9', '16 / 9'],
+    ['4/3', '4 / 3'],
+    [' 1 : 1 ', '1 / 1'],
+    ['2.35:1', '2.35 / 1']
+  ])('parses aspect ratio %s', (text, expected) => {
+    expect(parseAspectRatio(text)).toBe(expected);
+  });
+
+  test.each(['wide', '16:0', '16x9', undefined])('rejects aspect ratio %s', (text) => {
+    expect(parseAspectRatio(text)).toBeNull();
+  });
+});
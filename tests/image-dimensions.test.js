@@ -0,0 +1,70 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const { readImageDimensions, createPlaceholder, createDimensionsManifest, addImageDimensions } = require('../image-dimensions');
+
+describe('image dimensions', () => {
+  let rootDir;
+  const file = (name) => path.join(rootDir, name);
+  const writeImage = (name, width, height, options = {}) =>
+    sharp({ create: { width, height, channels: 3, background: '#c0c0c0' } })
+      .jpeg()
+      .withMetadata(options)
+      .toFile(file(name));
+
+  beforeEach(async () => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-dimensions-'));
+    fs.mkdirSync(file('assets'));
+    await writeImage('assets/hero.jpg', 40, 30);
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  test('reads the displayed size, swapped for rotated photos', async () => {
+    await writeImage('assets/portrait.jpg', 40, 30, { orientation: 6 });
+
+    expect(await readImageDimensions(file('assets/hero.jpg'))).toEqual({ width: 40, height: 30 });
+    expect(await readImageDimensions(file('assets/portrait.jpg'))).toEqual({ width: 30, height: 40 });
+    expect(await readImageDimensions(file('assets/missing.jpg'))).toBeNull();
+  });
+
+  test('makes a tiny blurred WebP placeholder', async () => {
+    const placeholder = await createPlaceholder(file('assets/hero.jpg'));
+    expect(placeholder).toMatch(/^data:image\/webp;base64,[A-Za-z0-9+/]+=*$/);
+
+    const { width, height } = await sharp(Buffer.from(placeholder.split(',')[1], 'base64')).metadata();
+    expect([width, height]).toEqual([16, 12]);
+    expect(await createPlaceholder(file('assets/missing.jpg'))).toBeNull();
+  });
+
+  test('keeps sizes and placeholders in the manifest file until the image changes', async () => {
+    const manifestFile = file('cache/dimensions.json');
+    await createDimensionsManifest({ manifestFile }).load([file('assets/hero.jpg')]);
+
+    const manifest = createDimensionsManifest({ manifestFile });
+    expect(manifest.get(file('assets/hero.jpg'))).toEqual({ width: 40, height: 30, placeholder: expect.stringMatching(/^data:image\/webp;/) });
+
+    await writeImage('assets/hero.jpg', 80, 30);
+    expect(manifest.get(file('assets/hero.jpg'))).toBeNull();
+    await manifest.load([file('assets/hero.jpg')]);
+    expect(manifest.get(file('assets/hero.jpg'))).toMatchObject({ width: 80, height: 30 });
+  });
+
+  test('adds width, height and aspect-ratio to local images of an HTML page', async () => {
+    const html = await addImageDimensions(
+      '<img src="assets/hero.jpg" alt="Лунёво" loading="lazy"><img src="assets/hero.jpg" width="10">' +
+        '<img src="https://mc.yandex.ru/watch/1" alt=""><img src="assets/missing.jpg">',
+      rootDir,
+      createDimensionsManifest()
+    );
+
+    expect(html).toBe(
+      '<img width="40" height="30" style="aspect-ratio: 40 / 30" src="assets/hero.jpg" alt="Лунёво" loading="lazy"><img src="assets/hero.jpg" width="10">' +
+        '<img src="https://mc.yandex.ru/watch/1" alt=""><img src="assets/missing.jpg">'
+    );
+  });
+});
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { lintMarkdown } = require('../lint-content');
+const { formatDiagnosticsReport } = require('../markdown-diagnostics');
+
+describe('content lint', () => {
+  let baseDir;
+
+  beforeAll(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lint-content-'));
+    fs.mkdirSync(path.join(baseDir, 'images'));
+    fs.writeFileSync(path.join(baseDir, 'images', 'plan (1).png'), '');
+  });
+
+  afterAll(() => {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+
+  const lint = (markdown, metadata) => lintMarkdown(markdown, { metadata, baseDir });
+  const codes = (diagnostics) => diagnostics.map((d) => [d.code, d.line, d.column]);
+
+  test('accepts clean content', () => {
+    const markdown = '---\ntitle: "x"\n---\n\n## A\n### B\n![Plan](images/plan%20(1).png)\n## C';
+    expect(lint(markdown, { title: 'x' })).toEqual([]);
+  });
+
+  test('reports missing images and alt text', () => {
+    expect(codes(lint('![](images/none.png)\n<img src="images/plan (1).png">'))).toEqual([
+      ['missing-image', 1, 1],
+      ['missing-alt', 1, 1],
+      ['missing-alt', 2, 1]
+    ]);
+  });
+
+  test('reports an image path with a stray "%" instead of throwing', () => {
+    expect(codes(lint('![Рост 5%](images/rost-5%.png)'))).toEqual([['missing-image', 1, 1]]);
+  });
+
+  test('reports skipped heading levels and duplicate H2 titles', () => {
+    expect(codes(lint('## A\n#### Deep\n## a\n| ## A'))).toEqual([
+      ['heading-level-skip', 2, 1],
+      ['duplicate-h2', 3, 1],
+      ['duplicate-h2', 4, 3]
+    ]);
+  });
+
+  test('reports raw t.me links outside code fences', () => {
+    expect(codes(lint('See [bot](https://t.me/bot)\n```\nhttps://t.me/ok\n```'))).toEqual([['raw-tme-link', 1, 11]]);
+  });
+
+  test('reports invalid bot deep links on their frontmatter line', () => {
+    const markdown = '---\ntitle: "x"\nbot_link: "https://t.me/bot"\nmax_bot_link: "https://max.ru/id1_bot?start=c1-ds"\n---\n';
+    const diagnostics = lint(markdown, { bot_link: 'https://t.me/bot', max_bot_link: 'https://max.ru/id1_bot?start=c1-ds' });
+    expect(codes(diagnostics)).toEqual([['invalid-deep-link', 3, 1]]);
+  });
+
+  test('groups the report by file', () => {
+    const report = formatDiagnosticsReport([
+      { file: 'b.md', line: 2, column: 1, severity: 'error', code: 'x', message: 'Two' },
+      { file: 'a.md', line: 1, column: 1, severity: 'warning', code: 'y', message: 'One' }
+    ]);
+    expect(report).toBe('a.md\n  1:1  warning  One (y)\n\nb.md\n  2:1  error  Two (x)\n\n2 problem(s) in 2 file(s): 1 error(s), 1 warning(s)');
+  });
+});
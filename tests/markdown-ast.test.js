@@ -0,0 +1,63 @@
+jest.mock('../markdown-parser', () => require('./markdown-parser-mock'));
+
+const { registerBlock, unregisterBlock, parseBlocks } = require('../markdown-blocks');
+const { renderTree, renderBlockTree, findElements, sourcePosition, transformTree } = require('../markdown-ast');
+const { hastToHtml } = require('../markdown-parser');
+
+describe('markdown-ast', () => {
+  beforeAll(() => {
+    registerBlock({
+      name: 'note',
+      render: (node, { renderBody }) => `<aside class="note">${renderBody()}</aside>`
+    });
+    registerBlock({
+      name: 'first-image',
+      render: (node, { bodyTree, embed }) => {
+        const [img] = findElements(bodyTree(), 'img');
+        return img ? `<figure>${embed(img)}</figure>` : '';
+      }
+    });
+  });
+
+  afterAll(() => {
+    unregisterBlock('note');
+    unregisterBlock('first-image');
+  });
+
+  test('splices block markup around the rendered body', () => {
+    const tree = renderTree(parseBlocks('Intro\n\n[[note]]\nInside\n[[/note]]\n\nOutro'));
+    expect(hastToHtml(tree)).toBe('<p>Intro</p><aside class="note"><p>Inside</p></aside><p>Outro</p>');
+    expect(tree.children[1]).toMatchObject({ type: 'raw', value: '<aside class="note">', position: { start: { line: 3, column: 1 } } });
+  });
+
+  test('maps element positions to source lines and columns, through pipe nesting', () => {
+    const tree = renderTree(parseBlocks('Text\n\n[[note]]\n| ![A](images/a.jpg)\n| ![B](images/b.jpg)\n[[/note]]', { firstLine: 5 }));
+    expect(findElements(tree, 'img').map(sourcePosition)).toEqual([
+      { line: 8, column: 3 },
+      { line: 9, column: 3 }
+    ]);
+  });
+
+  test('keeps the snippet file of included nodes', () => {
+    const [node] = parseBlocks('![A](images/a.jpg)', { firstLine: 2 });
+    const tree = renderTree([{ ...node, file: 'src/snippets/photo.md' }]);
+    expect(sourcePosition(findElements(tree, 'img')[0])).toEqual({ file: 'src/snippets/photo.md', line: 2, column: 1 });
+  });
+
+  test('lets blocks embed elements picked from their body', () => {
+    const [node] = parseBlocks('[[first-image]]\nCaption ![A](images/a.jpg)\n[[/first-image]]');
+    const tree = renderBlockTree(node);
+    expect(hastToHtml(tree)).toBe('<figure><img src="images/a.jpg" alt="A"></figure>');
+    expect(sourcePosition(findElements(tree, 'img')[0])).toEqual({ line: 2, column: 9 });
+  });
+
+  test('replaces nodes without visiting the replacements again', () => {
+    const tree = renderTree(parseBlocks('One\n\nTwo'));
+    transformTree(tree, (node) =>
+      node.type === 'element' && node.tagName === 'p'
+        ? [{ type: 'element', tagName: 'div', properties: {}, children: [node] }]
+        : undefined
+    );
+    expect(hastToHtml(tree)).toBe('<div><p>One</p></div><div><p>Two</p></div>');
+  });
+});
@@ -0,0 +1,158 @@
+jest.mock('../markdown-parser', () => {
+  const mock = jest.requireActual('./markdown-parser-mock');
+  return { ...mock, markdownToHast: jest.fn(mock.markdownToHast) };
+});
+
+const {
+  registerBlock,
+  unregisterBlock,
+  getBlock,
+  getRegisteredBlocks,
+  parseBlocks,
+  findBlockNodes
+} = require('../markdown-blocks');
+const { renderTree, renderBlockTree } = require('../markdown-ast');
+const { markdownToHast, hastToHtml } = require('../markdown-parser');
+
+const render = (markdown) => hastToHtml(renderTree(parseBlocks(markdown)));
+const renderBlock = (markdown) => hastToHtml(renderBlockTree(parseBlocks(markdown)[0]));
+
+describe('markdown block registry', () => {
+  const registered = [];
+  const register = (definition) => {
+    const block = registerBlock(definition);
+    registered.push(definition.name);
+    return block;
+  };
+
+  afterEach(() => {
+    registered.splice(0).forEach((name) => unregisterBlock(name));
+  });
+
+  test('renders a block with closing tag', () => {
+    register({
+      name: 'note',
+      parse: ({ args }) => ({ tone: args[0] }),
+      render: ({ tone }, { renderBody }) => `<aside class="${tone}">${renderBody()}</aside>`
+    });
+
+    const result = render('Before\n[[note | calm]]\nHello\n[[/note]]\nAfter');
+    expect(result).toBe('<p>Before</p><aside class="calm"><p>Hello</p></aside><p>After</p>');
+  });
+
+  test('renders a block without closing tag', () => {
+    register({
+      name: 'badge',
+      hasClosingTag: false,
+      render: ({ args }) => `<span>${args.join(',')}</span>`
+    });
+
+    expect(renderBlock('[[badge | a | b]]')).toBe('<span>a,b</span>');
+  });
+
+  test('tries blocks sharing a tag in priority order', () => {
+    register({ name: 'box-legacy', tag: 'box', hasClosingTag: false, priority: 20, render: () => 'legacy' });
+    register({ name: 'box', priority: 10, render: () => 'modern' });
+
+    expect(renderBlock('[[box]]\n[[/box]]')).toBe('modern');
+    expect(renderBlock('[[box]]')).toBe('legacy');
+    const names = getRegisteredBlocks().map((block) => block.name);
+    expect(names.indexOf('box')).toBeLessThan(names.indexOf('box-legacy'));
+  });
+
+  test('fills defaults for optional fields', () => {
+    const block = register({ name: 'plain', render: () => '' });
+    expect(block).toMatchObject({ tag: 'plain', hasClosingTag: true, priority: 100 });
+    expect(getBlock('plain')).toBe(block);
+  });
+
+  test('rejects a duplicate block name', () => {
+    register({ name: 'dupe', render: () => '' });
+    expect(() => registerBlock({ name: 'dupe', render: () => '' })).toThrow('Block "dupe" is already registered');
+  });
+
+  test('rejects invalid definitions', () => {
+    expect(() => registerBlock({ name: 'Bad Name', render: () => '' })).toThrow('Invalid block name');
+    expect(() => registerBlock({ name: 'no-render' })).toThrow('must define render');
+    expect(() => registerBlock({ name: 'bad-mode', hasClosingTag: 'yes', render: () => '' })).toThrow('hasClosingTag');
+    expect(() => registerBlock({ name: 'no-end', hasClosingTag: 'optional', render: () => '' })).toThrow('implicitEnd');
+  });
+});
+
+describe('markdown block tree', () => {
+  const names = ['wrap', 'fold', 'pic'];
+
+  beforeAll(() => {
+    registerBlock({
+      name: 'wrap',
+      render: (node, { renderBody }) => `<wrap>${renderBody()}</wrap>`
+    });
+    registerBlock({
+      name: 'fold',
+      hasClosingTag: 'optional',
+      implicitEnd: /^(?:\[\[|##\s)/,
+      parse: ({ args }) => ({ title: args[0] }),
+      render: ({ title }, { renderBody }) => `<fold title="${title}">${renderBody()}</fold>`
+    });
+    registerBlock({
+      name: 'pic',
+      hasClosingTag: false,
+      render: ({ args }) => `<pic src="${args[0]}">`
+    });
+  });
+
+  afterAll(() => {
+    names.forEach((name) => unregisterBlock(name));
+  });
+
+  test('records line and column of each block', () => {
+    const nodes = parseBlocks('Intro\n\n[[wrap]]\n| [[pic | a.png]]\n[[/wrap]]');
+    const wrap = nodes.find((node) => node.type === 'block');
+    expect(wrap).toMatchObject({ name: 'wrap', line: 3, column: 1 });
+    expect(wrap.children[0]).toMatchObject({ name: 'pic', args: ['a.png'], line: 4, column: 3 });
+  });
+
+  test('nests blocks through pipe-prefixed lines', () => {
+    const html = render('[[fold | Q]]\n| [[wrap]]\n| inner\n| [[/wrap]]\n\n## Next');
+    expect(html).toContain('<wrap><p>inner</p></wrap>');
+    expect(html.indexOf('<fold title="Q">')).toBeLessThan(html.indexOf('<wrap>'));
+    expect(html.indexOf('</fold>')).toBeLessThan(html.indexOf('## Next'));
+  });
+
+  test('nests blocks inside an explicitly closed optional block', () => {
+    const html = render('[[fold | Q]]\ntext\n[[pic | x.png]]\n[[/fold]]\nafter');
+    expect(html).toBe('<fold title="Q"><p>text</p><pic src="x.png"></fold><p>after</p>');
+  });
+
+  test('ends an optional block at its implicit end when it is not closed', () => {
+    const nodes = parseBlocks('[[fold | A]]\none\n[[fold | B]]\ntwo\n## H');
+    const folds = nodes.filter((node) => node.type === 'block');
+    expect(folds.map((node) => node.body)).toEqual(['one', 'two']);
+    expect(nodes[nodes.length - 1]).toMatchObject({ type: 'markdown', text: '## H' });
+  });
+
+  test('keeps tags inside fenced code as text', () => {
+    const nodes = parseBlocks('```\n[[wrap]]\n[[/wrap]]\n```');
+    expect(nodes).toHaveLength(1);
+    expect(nodes[0].type).toBe('markdown');
+  });
+
+  test('leaves an unclosed block as markdown text', () => {
+    const nodes = parseBlocks('[[wrap]]\nno closing tag');
+    expect(nodes).toEqual([{ type: 'markdown', text: '[[wrap]]\nno closing tag', line: 1, columns: [1, 1] }]);
+  });
+
+  test('finds blocks by name at any depth in document order', () => {
+    const nodes = parseBlocks('[[pic | a]]\n[[wrap]]\n| [[pic | b]]\n[[/wrap]]\n[[pic | c]]');
+    expect(findBlockNodes(nodes, 'pic').map((node) => node.args[0])).toEqual(['a', 'b', 'c']);
+    expect(findBlockNodes(nodes, 'fold')).toEqual([]);
+  });
+
+  test('passes each markdown run through the parser once', () => {
+    markdownToHast.mockClear();
+    const html = render('a\n[[wrap]]\nb\n[[/wrap]]\nc');
+    expect(markdownToHast).toHaveBeenCalledTimes(2);
+    expect(html).not.toContain('md-block');
+    expect(html).toContain('<wrap><p>b</p></wrap>');
+  });
+});
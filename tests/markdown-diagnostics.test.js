@@ -0,0 +1,79 @@
+const { registerBlock, unregisterBlock, parseBlocks } = require('../markdown-blocks');
+const { formatDiagnostic, sortDiagnostics, renderDiagnosticsHtml } = require('../markdown-diagnostics');
+
+describe('block diagnostics', () => {
+  beforeAll(() => {
+    registerBlock({ name: 'wrap', render: (node, { renderBody }) => `<wrap>${renderBody()}</wrap>` });
+    registerBlock({
+      name: 'tone',
+      validate: ({ args }, report) => {
+        if (args[0] !== 'calm') report('bad-tone', `Unknown tone "${args[0]}"`, 'warning');
+      },
+      render: (node, { renderBody }) => renderBody()
+    });
+  });
+
+  afterAll(() => {
+    unregisterBlock('wrap');
+    unregisterBlock('tone');
+  });
+
+  const diagnose = (markdown, firstLine) => {
+    const diagnostics = [];
+    parseBlocks(markdown, { firstLine, diagnostics });
+    return diagnostics;
+  };
+
+  test('reports an unclosed block at its opening tag', () => {
+    expect(diagnose('text\n  [[wrap]]\nbody')).toEqual([
+      {
+        severity: 'error',
+        code: 'unclosed-block',
+        message: 'Block [[wrap]] is not closed: add [[/wrap]]',
+        line: 2,
+        column: 3
+      }
+    ]);
+  });
+
+  test('reports unknown blocks and stray closing tags', () => {
+    const codes = diagnose('[[nope]]\n[[/wrap]]').map((d) => [d.code, d.line]);
+    expect(codes).toEqual([['unknown-block', 1], ['unexpected-closing-tag', 2]]);
+  });
+
+  test('reports an empty body', () => {
+    expect(diagnose('[[wrap]]\n\n[[/wrap]]')).toMatchObject([{ code: 'empty-block', line: 1 }]);
+  });
+
+  test('collects problems from validate and nested bodies with file offsets', () => {
+    const diagnostics = diagnose('[[wrap]]\n| [[tone | loud]]\n| x\n| [[/tone]]\n[[/wrap]]', 11);
+    expect(diagnostics).toEqual([
+      { severity: 'warning', code: 'bad-tone', message: 'Unknown tone "loud"', line: 12, column: 3 }
+    ]);
+  });
+
+  test('ignores tags in fenced code', () => {
+    expect(diagnose('```\n[[nope]]\n```')).toEqual([]);
+  });
+});
+
+describe('diagnostic output', () => {
+  const error = { file: 'src/projects/a/a.md', line: 7, column: 1, severity: 'error', code: 'unclosed-block', message: 'Block [[gallery]] is not closed' };
+  const warning = { file: 'src/projects/a/a.md', line: 3, column: 5, severity: 'warning', code: 'x', message: 'Use <b>' };
+
+  test('formats a terminal line', () => {
+    expect(formatDiagnostic(error)).toBe('src/projects/a/a.md:7:1 error: Block [[gallery]] is not closed (unclosed-block)');
+  });
+
+  test('sorts by position', () => {
+    expect(sortDiagnostics([error, warning])).toEqual([warning, error]);
+  });
+
+  test('renders an escaped dev notice', () => {
+    expect(renderDiagnosticsHtml([])).toBe('');
+    const html = renderDiagnosticsHtml([error, warning]);
+    expect(html).toContain('class="content-diagnostics" role="alert"');
+    expect(html).toContain('<li class="content-diagnostics-warning"><code>src/projects/a/a.md:3:5</code> Use &lt;b&gt;</li>');
+    expect(html.indexOf('content-diagnostics-warning')).toBeLessThan(html.indexOf('content-diagnostics-error'));
+  });
+});
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../markdown-parser', () => require('./markdown-parser-mock'));
+
+const { processCustomBlocks } = require('../build-markdown');
+
+describe('[[include]] snippets', () => {
+  let rootDir;
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(rootDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(rootDir, file), content);
+  };
+
+  beforeAll(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'markdown-includes-'));
+    write('snippets/risks.md', '---\nterm: 12 месяцев\n---\nРиски проекта {{project_title}} на срок {{term}}.\n\n[[include | snippets/tax.md]]\n');
+    write('snippets/tax.md', '[[callout | info]]\nНалог 13%\n[[/callout]]\n');
+    write('snippets/loop-a.md', '[[include | snippets/loop-b.md]]\n');
+    write('snippets/loop-b.md', '[[include | snippets/loop-a.md]]\n');
+    write('snippets/unknown.md', 'Срок {{deadline}}\n');
+  });
+
+  afterAll(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  test('splices snippets recursively and fills variables', () => {
+    const includes = [];
+    const diagnostics = [];
+    const html = processCustomBlocks('[[include | snippets/risks.md]]', {
+      rootDir,
+      variables: { project_title: 'Фрязино' },
+      diagnostics,
+      includes
+    });
+    expect(html).toContain('Риски проекта Фрязино на срок 12 месяцев.');
+    expect(html).toContain('content-callout-info');
+    expect(includes).toEqual([path.join(rootDir, 'snippets/risks.md'), path.join(rootDir, 'snippets/tax.md')]);
+    expect(diagnostics).toEqual([]);
+  });
+
+  test('page variables win over snippet defaults', () => {
+    const html = processCustomBlocks('[[include | snippets/risks.md]]', {
+      rootDir,
+      variables: { project_title: 'Лубенки', term: '18 месяцев' }
+    });
+    expect(html).toContain('Риски проекта Лубенки на срок 18 месяцев.');
+  });
+
+  test('reports cycles, missing files, paths outside src and unknown variables', () => {
+    const diagnostics = [];
+    processCustomBlocks(
+      '[[include | snippets/loop-a.md]]\n[[include | snippets/none.md]]\n[[include | ../secret.md]]\n[[include | snippets/unknown.md]]',
+      { rootDir, diagnostics }
+    );
+    expect(diagnostics.map(({ code, line }) => [code, line])).toEqual([
+      ['include-cycle', 1],
+      ['missing-include', 2],
+      ['invalid-include-path', 3],
+      ['unknown-include-variable', 4]
+    ]);
+    expect(diagnostics[0].message).toMatch(/^Include cycle: .*loop-a\.md → .*loop-b\.md → .*loop-a\.md$/);
+    expect(diagnostics[0].file).toMatch(/loop-b\.md$/);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Stand-in for markdown-parser.js: Jest cannot load the unified packages (ES modules).
+ * Each run of markdown becomes one paragraph, ![alt](src) an <img> and line breaks <br>,
+ * with positions relative to the markdown; <!--md-block-N--> lines stay raw placeholders.
+ * The real pipeline is covered by tests/markdown-pipeline.test.mjs (npm run test:pipeline).
+ */
+
+const VOID_ELEMENTS = ['br', 'img', 'source'];
+
+const escapeText = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+const escapeAttr = (value) => value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+const point = (line, column) => ({ line, column });
+
+function paragraph(lines, firstLine) {
+  const children = [];
+  lines.forEach((text, index) => {
+    const line = firstLine + index;
+    if (index > 0) children.push({ type: 'element', tagName: 'br', properties: {}, children: [] });
+    let last = 0;
+    for (const match of text.matchAll(/!\[([^\]]*)\]\(([^)\s]+)\)/g)) {
+      if (match.index > last) children.push({ type: 'text', value: text.slice(last, match.index) });
+      children.push({
+        type: 'element',
+        tagName: 'img',
+        properties: { src: match[2], alt: match[1] },
+        children: [],
+        position: { start: point(line, match.index + 1), end: point(line, match.index + match[0].length + 1) }
+      });
+      last = match.index + match[0].length;
+    }
+    if (last < text.length) children.push({ type: 'text', value: text.slice(last) });
+  });
+  return {
+    type: 'element',
+    tagName: 'p',
+    properties: {},
+    children,
+    position: { start: point(firstLine, 1), end: point(firstLine + lines.length - 1, lines[lines.length - 1].length + 1) }
+  };
+}
+
+function markdownToHast(markdown) {
+  const children = [];
+  let pending = [];
+  const flush = (line) => {
+    if (pending.length) children.push(paragraph(pending, line - pending.length));
+    pending = [];
+  };
+  markdown.split('\n').forEach((text, index) => {
+    const line = index + 1;
+    if (/^<!--md-block-\d+-->$/.test(text)) {
+      flush(line);
+      children.push({ type: 'raw', value: text, position: { start: point(line, 1), end: point(line, text.length + 1) } });
+    } else if (text.trim() === '') {
+      flush(line);
+    } else {
+      pending.push(text);
+    }
+  });
+  flush(markdown.split('\n').length + 1);
+  return { type: 'root', children };
+}
+
+function hastToHtml(node) {
+  if (node.type === 'root') return node.children.map(hastToHtml).join('');
+  if (node.type === 'text') return escapeText(node.value);
+  if (node.type === 'raw') return node.value;
+  if (node.type === 'comment') return `<!--${node.value}-->`;
+  const attrs = Object.entries(node.properties || {})
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => {
+      const attr = name === 'className' ? 'class' : name.toLowerCase();
+      return ` ${attr}="${escapeAttr(Array.isArray(value) ? value.join(' ') : String(value))}"`;
+    })
+    .join('');
+  if (VOID_ELEMENTS.includes(node.tagName)) return `<${node.tagName}${attrs}>`;
+  return `<${node.tagName}${attrs}>${node.children.map(hastToHtml).join('')}</${node.tagName}>`;
+}
+
+module.exports = {
+  markdownToHast,
+  hastToHtml
+};
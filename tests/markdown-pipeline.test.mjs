@@ -0,0 +1,100 @@
+/**
+ * Pages through the real remark/rehype pipeline of markdown-parser.js. Jest cannot load the
+ * unified packages (ES modules), so the Jest suites use tests/markdown-parser-mock.js; this file
+ * runs with `node --test` (npm run test:pipeline) and checks what the site actually outputs.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import buildMarkdown from '../build-markdown.js';
+import markdownAst from '../markdown-ast.js';
+import markdownBlocks from '../markdown-blocks.js';
+
+const { renderMarkdown, processMarkdownFile } = buildMarkdown;
+const { renderTree, findElements, sourcePosition } = markdownAst;
+const { parseBlocks } = markdownBlocks;
+
+let pageDir;
+
+before(() => {
+  pageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'markdown-pipeline-'));
+});
+
+after(() => {
+  fs.rmSync(pageDir, { recursive: true, force: true });
+});
+
+test('renders GFM tables with column alignment', () => {
+  const html = renderMarkdown('| Год | Доход |\n|-----|------:|\n| 2025 | 100 |');
+  assert.match(html, /<th align="right">Доход<\/th>/);
+  assert.match(html, /<td align="right">100<\/td>/);
+});
+
+test('passes raw HTML through and escapes "&" in hrefs', () => {
+  const html = renderMarkdown('<div class="content-lead">Лид <b>текст</b></div>\n\n[Бот](https://max.ru/bot?start=a&b=c)');
+  assert.ok(html.includes('<div class="content-lead">Лид <b>текст</b></div>'));
+  assert.ok(html.includes('<a href="https://max.ru/bot?start=a&amp;b=c">Бот</a>'));
+});
+
+test('splices nested blocks back without leaving placeholders', () => {
+  const html = renderMarkdown('Вступление\n\n[[toggle | Вопрос]]\n| [[callout | risk]]\n| | **Риск**\n| [[/callout]]\n[[/toggle]]\n\nИтог');
+  assert.doesNotMatch(html, /md-block|content-tree/);
+  assert.match(html, /<summary>Вопрос<\/summary>[\s\S]*content-callout-risk[\s\S]*<p><strong>Риск<\/strong><\/p>[\s\S]*<\/details>\s*<p>Итог<\/p>$/);
+});
+
+test('maps positions of nested markdown to source lines', () => {
+  const tree = renderTree(parseBlocks('Текст\n\n[[callout | info]]\n![Фасад](images/a.jpg)\n[[/callout]]', { firstLine: 4 }));
+  assert.deepEqual(findElements(tree, 'img').map(sourcePosition), [{ line: 7, column: 1 }]);
+});
+
+test('processes a page end to end', async () => {
+  const mdPath = path.join(pageDir, 'demo.md');
+  fs.writeFileSync(
+    mdPath,
+    '---\ntitle: Демо\n---\n\n## Раздел\n\n| A | B |\n|---|---|\n| 1 | 2 |\n\n[Канал](https://t.me/redevest)\n\n<span onclick="x()">Текст</span>\n\n![Нет файла](images/missing.jpg)\n'
+  );
+
+  const { html, diagnostics } = await processMarkdownFile(mdPath, 'demo');
+
+  assert.ok(html.includes('<div class="content-table-container"><table class="content-table">'));
+  assert.ok(html.includes('href="tg://resolve?domain=redevest"'));
+  assert.doesNotMatch(html, /onclick/);
+  assert.ok(html.includes('<img src="../assets/projects/demo/images/missing.jpg" alt="Нет файла" loading="lazy">'));
+  const warnings = diagnostics.filter(({ code }) => ['missing-image', 'disallowed-html-attribute'].includes(code));
+  assert.deepEqual(warnings.map(({ code, line }) => [code, line]), [
+    ['missing-image', 15],
+    ['disallowed-html-attribute', 13]
+  ]);
+});
+
+test('takes FAQ answers from the toggle bodies of the sanitised page', async () => {
+  const mdPath = path.join(pageDir, 'faq.md');
+  fs.writeFileSync(mdPath, '---\ntitle: Демо\n---\n\n[[toggle | Срок?]]\n| Ответ [бот](https://t.me/redevest)<noscript>скрыто</noscript>\n[[/toggle]]\n');
+
+  const { html, metadata } = await processMarkdownFile(mdPath, 'demo');
+
+  assert.doesNotMatch(html, /скрыто/);
+  assert.deepEqual(metadata.faq, [{ question: 'Срок?', answer: 'Ответ бот' }]);
+});
+
+test('builds [[toc]] only from the block, never from a comment in the markdown', async () => {
+  const mdPath = path.join(pageDir, 'toc.md');
+  fs.writeFileSync(
+    mdPath,
+    '---\ntitle: Демо\n---\n\n[[toc | Риски <b>]]\n\n<!--content-toc:<img src=x onerror=alert(1)-->\n\n## Раздел\n'
+  );
+
+  const { html, diagnostics } = await processMarkdownFile(mdPath, 'demo');
+
+  assert.doesNotMatch(html, /onerror|<img/);
+  assert.equal(html.match(/<nav class="content-toc"/g).length, 1);
+  assert.ok(html.includes('<p class="content-toc-title">Риски &lt;b&gt;</p>'));
+  assert.deepEqual(
+    diagnostics.filter(({ code }) => code === 'disallowed-html-comment').map(({ line }) => line),
+    [7]
+  );
+});
@@ -1,4 +1,4 @@
-const { processMarkdownFile, findProjects } = require('../build-markdown');
+const { processMarkdownFile, findProjects, renderMarkdown, fixImagePaths: renderedFixImagePaths } = require('../build-markdown');
 const { processCustomBlocks, fixImagePaths } = require('./test-helpers');
 
 // Mock fs для тестирования
@@ -7,10 +7,8 @@ const path = require('path');
 jest.mock('fs');
 jest.mock('path');
 
-// Mock marked
-jest.mock('marked', () => ({
-  parse: jest.fn((markdown) => `<p>${markdown.replace(/\n/g, '<br>')}</p>`)
-}));
+// Mock the remark/rehype seam (ES modules)
+jest.mock('../markdown-parser', () => require('./markdown-parser-mock'));
 
 // Mock gray-matter
 jest.mock('gray-matter', () => ({
@@ -43,6 +41,31 @@ Content 2
       expect(result.trim()).toBe(expected);
     });
 
+    test('should apply columns ratio, mobile order and alignment', () => {
+      const result = processCustomBlocks(`[[columns | 2:1 | reverse-mobile | center]]
+[[column]]
+Text
+[[column]]
+Image
+[[/columns]]`);
+
+      expect(result).toContain(
+        '<div class="content-columns content-columns--ratio content-columns--reverse-mobile content-columns--center" style="--content-columns: 2fr 1fr">'
+      );
+    });
+
+    test('should report invalid columns ratios', () => {
+      const diagnostics = [];
+      renderMarkdown('[[columns | 2:0]]\n[[column]]\nA\n[[/columns]]\n\n[[columns | 1:1:1]]\n[[column]]\nA\n[[column]]\nB\n[[/columns]]', { diagnostics });
+
+      expect(diagnostics.map((d) => [d.code, d.line])).toEqual([
+        ['invalid-columns-option', 1],
+        ['columns-ratio-mismatch', 6]
+      ]);
+      expect(diagnostics[0].message).toBe('Columns ratio "2:0" must be 2 to 4 whole numbers from 1 to 12 separated by ":", e.g. 2:1');
+      expect(diagnostics[1].message).toBe('Columns ratio "1:1:1" has 3 parts but the block has 2 [[column]] blocks');
+    });
+
     test('should process callout blocks correctly', () => {
       const input = `[[callout | info]]
 This is an info callout
@@ -51,6 +74,30 @@ This is an info callout
       const result = processCustomBlocks(input);
       expect(result).toContain('content-callout-info');
       expect(result).toContain('This is an info callout');
+      expect(result).toContain('role="note" aria-label="Важно знать"');
+      expect(result).toContain('<span class="content-callout-icon" aria-hidden="true">i</span>Важно знать</p>');
+    });
+
+    test('should render a custom callout title and an alert role for risk', () => {
+      const result = processCustomBlocks(`[[callout | risk | Срок "под вопросом"]]
+Разрешение ещё не получено
+[[/callout]]`);
+
+      expect(result).toContain(
+        '<div class="content-callout content-callout-risk" role="alert" aria-label="Срок &quot;под вопросом&quot;">'
+      );
+      expect(result).toContain('</span>Срок &quot;под вопросом&quot;</p>');
+    });
+
+    test('should report unknown callout types', () => {
+      const diagnostics = [];
+      const html = renderMarkdown('[[callout | eror]]\nТекст\n[[/callout]]', { diagnostics });
+
+      expect(diagnostics.map((d) => [d.code, d.line])).toEqual([['unknown-callout-type', 1]]);
+      expect(diagnostics[0].message).toBe(
+        'Unknown callout type "eror", expected one of: info, accent, warning, risk, success'
+      );
+      expect(html).toContain('content-callout-info');
     });
 
     test('should process toggle blocks correctly', () => {
@@ -71,6 +118,11 @@ This is an info callout
       expect(result.trim()).toBe(expected);
     });
 
+    test('should escape toggle titles', () => {
+      const result = processCustomBlocks('[[toggle | <img src=x onerror=alert(1)> & "Q"]]\n| Ответ');
+      expect(result).toContain('<summary>&lt;img src=x onerror=alert(1)&gt; &amp; &quot;Q&quot;</summary>');
+    });
+
     test('should process gallery blocks', () => {
       const input = `[[gallery]]
 ![A](images/a.png)
@@ -80,8 +132,19 @@ This is an info callout
       expect(result).toContain('content-gallery--carousel');
       expect(result).toContain('content-gallery-scroller');
       expect(result).toContain('content-gallery-prev');
-      expect(result).toContain('images/a.png');
-      expect(result).toContain('images/b.png');
+      expect(result).toContain('<figure class="content-gallery-slide"><img src="images/a.png" alt="A"><figcaption>A</figcaption></figure>');
+      expect(result).toContain('<figure class="content-gallery-slide"><img src="images/b.png" alt="B"><figcaption>B</figcaption></figure>');
+    });
+
+    test('should process compare blocks into before/after figures', () => {
+      const input = `[[compare | До | После]]
+![Фасад 2019](images/before.jpg)
+![Фасад 2025](images/after.jpg)
+[[/compare]]`;
+      const result = processCustomBlocks(input);
+      expect(result).toContain('<div class="content-compare">');
+      expect(result).toContain('<figure class="content-compare-item content-compare-before"><img src="images/before.jpg" alt="Фасад 2019"><figcaption class="content-compare-label">До</figcaption></figure>');
+      expect(result).toContain('<figure class="content-compare-item content-compare-after"><img src="images/after.jpg" alt="Фасад 2025"><figcaption class="content-compare-label">После</figcaption></figure>');
     });
 
     test('should process project passport blocks', () => {
@@ -93,11 +156,118 @@ This is an info callout
       expect(result).toContain('Локация');
     });
 
-    test('should process iframe blocks with https URL', () => {
-      const input = '[[iframe | https://example.com/embed]]';
+    test('should process iframe blocks from an allowed host', () => {
+      const input = '[[iframe | https://rutube.ru/play/embed/abc/ | Обзор | 4:3]]';
       const result = processCustomBlocks(input);
-      expect(result).toContain('content-iframe-container');
-      expect(result).toContain('https://example.com/embed');
+      expect(result).toContain('content-iframe-container" style="aspect-ratio: 4 / 3"');
+      expect(result).toContain('src="https://rutube.ru/play/embed/abc/" title="Обзор" sandbox="');
+    });
+
+    test('should skip iframe from a host outside the allowlist', () => {
+      expect(processCustomBlocks('[[iframe | https://example.com/embed | Пример]]')).toBe('');
+    });
+
+    test('should process timeline blocks in source order with their stage states', () => {
+      const result = processCustomBlocks(`[[timeline]]
+30.04.2026 | Перевод земли | done
+апрель 2026 | Проектирование | current
+IV кв. 2026 | Ввод в эксплуатацию | planned
+[[/timeline]]`);
+
+      expect(result).toContain('<ol class="content-timeline" aria-label="Этапы проекта">');
+      expect([...result.matchAll(/content-timeline-item--(\w+)/g)].map((match) => match[1])).toEqual(['done', 'current', 'planned']);
+      expect([...result.matchAll(/<time class="content-timeline-date" datetime="([^"]+)">([^<]+)<\/time>/g)].map((match) => [match[1], match[2]])).toEqual([
+        ['2026-04-30', '30.04.2026'],
+        ['2026-04', 'апрель 2026'],
+        ['2026-10', 'IV кв. 2026']
+      ]);
+      expect(result).toContain('<li class="content-timeline-item content-timeline-item--current" aria-current="step">');
+      expect(result.match(/aria-current/g)).toHaveLength(1);
+      expect(result).toContain('<span class="content-timeline-title">Перевод земли</span>\n<span class="content-timeline-status">Завершено</span>');
+      expect(result).toContain('<span class="content-timeline-status">Запланировано</span>');
+    });
+
+    test('should report malformed timeline rows and leave them out', () => {
+      const diagnostics = [];
+      const html = renderMarkdown(`Intro
+
+[[timeline]]
+весной | Проектирование | done
+2026 | Стройка | soon
+05.2026 | Отделка | current
+06.2026 | Сдача | current
+[[/timeline]]`, { diagnostics });
+
+      expect(diagnostics.map((d) => [d.code, d.severity, d.line])).toEqual([
+        ['invalid-timeline-date', 'error', 3],
+        ['invalid-timeline-status', 'error', 3],
+        ['multiple-current-stages', 'warning', 3]
+      ]);
+      expect(diagnostics[0].message).toBe('Timeline row 1 "весной | Проектирование | done": expected a date like 30.04.2026, 04.2026, апрель 2026 or IV кв. 2026');
+      expect(diagnostics[1].message).toBe('Timeline row 2 "2026 | Стройка | soon": status must be one of done, current, planned');
+      expect(html).not.toContain('Проектирование');
+      expect(html).not.toContain('Стройка');
+      expect(html.match(/<li class="content-timeline-item/g)).toHaveLength(2);
+    });
+
+    test('should process kpi blocks into metric cards', () => {
+      const result = processCustomBlocks(`[[kpi]]
+Доходность | 24% | годовых
+Срок | 18 мес.
+[[/kpi]]`);
+
+      expect(result).toContain('<dl class="content-kpi" aria-label="Ключевые показатели">');
+      expect(result).toContain(
+        '<div class="content-kpi-card">\n<dt class="content-kpi-label">Доходность</dt>\n<dd class="content-kpi-value">24%</dd>\n<dd class="content-kpi-hint">годовых</dd>\n</div>'
+      );
+      expect(result).toContain('<div class="content-kpi-card">\n<dt class="content-kpi-label">Срок</dt>\n<dd class="content-kpi-value">18 мес.</dd>\n</div>');
+    });
+
+    test('should report kpi rows without a label or value and leave them out', () => {
+      const diagnostics = [];
+      const html = renderMarkdown(`[[kpi]]
+Доходность | 24%
+Вход от
+| 3 млн ₽
+[[/kpi]]`, { diagnostics });
+
+      expect(diagnostics.map((d) => [d.code, d.line, d.message])).toEqual([
+        ['invalid-kpi-row', 1, 'KPI row 2: expected "label | value | hint", label and value are required'],
+        ['invalid-kpi-row', 1, 'KPI row 3: expected "label | value | hint", label and value are required']
+      ]);
+      expect(html.match(/content-kpi-card/g)).toHaveLength(1);
+      expect(html).not.toContain('Вход от');
+    });
+
+    test('should render video blocks as a facade with a poster and the player policy of the host', () => {
+      const result = processCustomBlocks('[[video | https://youtu.be/EILUT3NAYjw | Обзор отеля | images/poster.jpg]]');
+
+      expect(result).toContain(
+        '<div class="content-video" data-video-src="https://www.youtube-nocookie.com/embed/EILUT3NAYjw" data-video-title="Обзор отеля" ' +
+          'data-video-sandbox="allow-scripts allow-same-origin allow-presentation allow-popups" ' +
+          'data-video-allow="autoplay; encrypted-media; fullscreen; picture-in-picture">'
+      );
+      expect(result).toContain(
+        '<button type="button" class="content-video-facade" aria-label="Смотреть видео: Обзор отеля">\n' +
+          '<img src="images/poster.jpg" alt="" class="content-video-poster">\n' +
+          '<span class="content-video-play" aria-hidden="true"></span>'
+      );
+      expect(result).toContain('<span class="content-video-provider">YouTube</span>');
+      expect(processCustomBlocks('[[video | https://rutube.ru/video/2f7ea6fbf291c4084bab130f3558668a/ | Обзор]]')).not.toContain('content-video-poster');
+    });
+
+    test('should render unsupported videos as a link and report the block problems', () => {
+      const diagnostics = [];
+      const html = renderMarkdown('Intro\n\n[[video | https://example.com/tour.mp4]]\n\n[[video | https://rutube.ru/video/2f7ea6fbf291c4084bab130f3558668a/ | Обзор | poster.jpg]]', { diagnostics });
+
+      expect(html).toContain('<p><a href="https://example.com/tour.mp4" target="_blank" rel="noopener noreferrer">Видео</a></p>');
+      expect(html).not.toContain('data-video-src="https://example.com');
+      expect(diagnostics.map((d) => [d.code, d.line])).toEqual([
+        ['unknown-video-host', 3],
+        ['missing-video-title', 3],
+        ['invalid-video-poster', 5]
+      ]);
+      expect(diagnostics[2].message).toBe('Video poster "poster.jpg" must be an image next to the page, e.g. images/poster.jpg');
     });
 
     test('should skip iframe with non-http URL', () => {
@@ -116,6 +286,21 @@ This is an info callout
       const result = fixImagePaths(input, 'test-project');
       expect(result).toBe(expected);
     });
+
+    test('should reserve the size of known images and show their placeholder behind the <picture>', () => {
+      fs.existsSync.mockReturnValue(false);
+      path.join.mockImplementation((...args) => args.join('/'));
+      path.extname.mockReturnValue('.jpg');
+      const sizeOf = jest.fn(() => ({ width: 1600, height: 1067, placeholder: 'data:image/webp;base64,UklGRg==' }));
+
+      const result = renderedFixImagePaths('<img src="images/photo.jpg" alt="Фасад">', 'test-project', [], sizeOf);
+
+      expect(sizeOf).toHaveBeenCalledWith('images/photo.jpg');
+      expect(result).toContain('<picture class="content-picture-placeholder" style="background-image: url(data:image/webp;base64,UklGRg==)">');
+      expect(result).toContain(
+        '<img src="../assets/projects/test-project/images/photo.jpg" alt="Фасад" width="1600" height="1067" style="aspect-ratio: 1600 / 1067" loading="lazy">'
+      );
+    });
   });
 
   describe('processMarkdownFile', () => {
@@ -144,6 +329,98 @@ Some content with **bold** text.`;
       expect(result.metadata.title).toBe('Test Project');
       expect(result.metadata.slug).toBe('test-project');
     });
+
+    test('should render [[cta]] with the page bot links and a section payload', async () => {
+      fs.readFileSync.mockReturnValue('');
+      matter.mockReturnValueOnce({
+        data: {
+          title: 'Test Project',
+          bot_link: 'https://t.me/FlippingInvestBot?start=test',
+          max_bot_link: 'https://max.ru/test_bot?start=test'
+        },
+        content: '[[cta | Получить расчёт | risks]]'
+      });
+
+      const { html, diagnostics } = await processMarkdownFile('/path/to/test.md', 'test-project');
+
+      expect(html).toContain('<p class="content-cta-text">Получить расчёт</p>');
+      expect(html).toContain('grid-cols-1 sm:grid-cols-2');
+      expect(html).toContain('href="tg://resolve?domain=FlippingInvestBot&amp;start=risks"');
+      expect(html).toContain('href="https://max.ru/test_bot?start=risks"');
+      expect(diagnostics).toEqual([]);
+    });
+
+    test('should render [[cta]] as a single Telegram button without max_bot_link', async () => {
+      fs.readFileSync.mockReturnValue('');
+      matter.mockReturnValueOnce({
+        data: { title: 'Test Project', bot_link: 'tg://resolve?domain=FlippingInvestBot&start=test' },
+        content: '[[cta | Получить расчёт]]'
+      });
+
+      const { html } = await processMarkdownFile('/path/to/test.md', 'test-project');
+
+      expect(html).toContain('href="tg://resolve?domain=FlippingInvestBot&amp;start=test"');
+      expect(html).not.toContain('sm:grid-cols-2');
+      expect(html).not.toContain('max-logo-mono.svg');
+    });
+
+    test('should turn project images into pictures and report missing ones at their line', async () => {
+      fs.readFileSync.mockReturnValue('---\ntitle: Test\n---\nIntro\n\n![Фасад](images/facade.jpg)');
+      fs.existsSync.mockReturnValue(false);
+      path.join.mockImplementation((...args) => args.join('/'));
+      path.dirname.mockReturnValue('/path/to');
+      path.extname.mockReturnValue('.jpg');
+      matter.mockReturnValueOnce({ data: { title: 'Test Project' }, content: 'Intro\n\n![Фасад](images/facade.jpg)' });
+
+      const { html, diagnostics, dependencies } = await processMarkdownFile('/path/to/test.md', 'test-project');
+
+      expect(html).toContain('<source srcset="../assets/projects/test-project/images/facade.avif" type="image/avif">');
+      expect(html).toContain('<img src="../assets/projects/test-project/images/facade.jpg" alt="Фасад" loading="lazy">');
+      expect(diagnostics.filter((d) => d.code === 'missing-image')).toEqual([
+        { file: '/path/to/test.md', severity: 'warning', code: 'missing-image', message: 'Image "images/facade.jpg" not found', line: 6, column: 1 }
+      ]);
+      expect(dependencies).toContain('/path/to/images/facade.jpg');
+    });
+
+    test('should return the rows of all [[kpi]] blocks as metadata.kpis', async () => {
+      fs.readFileSync.mockReturnValue('');
+      matter.mockReturnValueOnce({
+        data: { title: 'Test Project' },
+        content: '[[kpi]]\nДоходность | 24% | годовых\nСрок\n[[/kpi]]\n\nТекст\n\n[[kpi]]\nПлощадь | 1 200 м²\n[[/kpi]]'
+      });
+
+      const { metadata, diagnostics } = await processMarkdownFile('/path/to/test.md', 'test-project');
+
+      expect(metadata.kpis).toEqual([
+        { label: 'Доходность', value: '24%', hint: 'годовых' },
+        { label: 'Площадь', value: '1 200 м²', hint: '' }
+      ]);
+      expect(diagnostics.filter((d) => d.code === 'invalid-kpi-row')).toHaveLength(1);
+    });
+
+    test('should return empty metadata.kpis for a page without [[kpi]]', async () => {
+      fs.readFileSync.mockReturnValue('');
+      matter.mockReturnValueOnce({ data: { title: 'Test Project' }, content: 'Текст' });
+
+      const { metadata } = await processMarkdownFile('/path/to/test.md', 'test-project');
+
+      expect(metadata.kpis).toEqual([]);
+    });
+
+    test('should check the [[video]] poster like other project images', async () => {
+      fs.readFileSync.mockReturnValue('');
+      fs.existsSync.mockReturnValue(false);
+      path.join.mockImplementation((...args) => args.join('/'));
+      path.dirname.mockReturnValue('/path/to');
+      path.extname.mockReturnValue('.jpg');
+      matter.mockReturnValueOnce({ data: { title: 'Test Project' }, content: 'Intro\n\n[[video | https://rutube.ru/video/2f7ea6fbf291c4084bab130f3558668a/ | Обзор | images/poster.jpg]]' });
+
+      const { html, diagnostics, dependencies } = await processMarkdownFile('/path/to/test.md', 'test-project');
+
+      expect(html).toContain('<img src="../assets/projects/test-project/images/poster.jpg" alt="" loading="lazy" class="content-video-poster">');
+      expect(diagnostics.filter((d) => d.code === 'missing-image').map((d) => [d.message, d.line])).toEqual([['Image "images/poster.jpg" not found', 3]]);
+      expect(dependencies).toContain('/path/to/images/poster.jpg');
+    });
   });
 
   describe('findProjects', () => {
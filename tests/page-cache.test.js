@@ -0,0 +1,108 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { hashFile, createPageCache } = require('../page-cache');
+
+describe('page cache', () => {
+  let rootDir;
+  const file = (name) => path.join(rootDir, name);
+  const write = (name, content) => {
+    fs.mkdirSync(path.dirname(file(name)), { recursive: true });
+    fs.writeFileSync(file(name), content);
+  };
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'page-cache-'));
+    write('lunevo.md', '# Лунёво');
+    write('fryazino.md', '# Фрязино');
+    write('project.html', '<main>{{content}}</main>');
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  test('hashes file contents, folder listings and missing paths', () => {
+    expect(hashFile(file('lunevo.md'))).toMatch(/^[0-9a-f]{40}$/);
+    expect(hashFile(file('missing.md'))).toBeNull();
+
+    const before = hashFile(path.join(rootDir, 'docs'));
+    write('docs/egrn.pdf', 'pdf');
+    expect(hashFile(path.join(rootDir, 'docs'))).not.toBe(before);
+  });
+
+  test('reuses a page until one of its files changes', () => {
+    const cache = createPageCache();
+    cache.set('projects/lunevo', [file('lunevo.md'), file('project.html')], { html: 'lunevo' });
+
+    expect(cache.get('projects/lunevo')).toEqual({ html: 'lunevo' });
+    write('project.html', '<main class="page">{{content}}</main>');
+    expect(cache.get('projects/lunevo')).toBeNull();
+  });
+
+  test('notices when a missing dependency appears', () => {
+    const cache = createPageCache();
+    cache.set('projects/lunevo', [file('lunevo.md'), file('data/rent.csv')], { html: 'lunevo' });
+
+    write('data/rent.csv', 'Год;Доход\n2025;100');
+    expect(cache.get('projects/lunevo')).toBeNull();
+  });
+
+  test('hashes a file only when its size or modification time changed', () => {
+    const cache = createPageCache();
+    cache.set('projects/lunevo', [file('lunevo.md'), file('project.html')], { html: 'lunevo' });
+    const read = jest.spyOn(fs, 'readFileSync');
+
+    try {
+      expect(cache.get('projects/lunevo')).toEqual({ html: 'lunevo' });
+      expect(read).not.toHaveBeenCalled();
+
+      const later = new Date(Date.now() + 60000);
+      fs.utimesSync(file('lunevo.md'), later, later);
+      expect(cache.get('projects/lunevo')).toEqual({ html: 'lunevo' });
+      expect(read).toHaveBeenCalledTimes(1);
+      expect(cache.get('projects/lunevo')).toEqual({ html: 'lunevo' });
+      expect(read).toHaveBeenCalledTimes(1);
+    } finally {
+      read.mockRestore();
+    }
+  });
+
+  test('notices a file added to a subfolder of a folder dependency', () => {
+    write('docs/plans/floor-1.pdf', 'pdf');
+    const cache = createPageCache();
+    cache.set('projects/lunevo', [file('lunevo.md'), path.join(rootDir, 'docs')], { html: 'lunevo' });
+
+    write('docs/plans/floor-2.pdf', 'pdf');
+    expect(cache.get('projects/lunevo')).toBeNull();
+  });
+
+  test('finds and drops only the pages built from a file', () => {
+    const cache = createPageCache();
+    cache.set('projects/lunevo', [file('lunevo.md'), file('project.html')], { html: 'lunevo' });
+    cache.set('projects/fryazino', [file('fryazino.md'), file('project.html')], { html: 'fryazino' });
+
+    expect(cache.dependents(file('project.html'))).toEqual(['projects/lunevo', 'projects/fryazino']);
+    expect(cache.invalidate(file('lunevo.md'))).toEqual(['projects/lunevo']);
+    expect(cache.get('projects/lunevo')).toBeNull();
+    expect(cache.get('projects/fryazino')).toEqual({ html: 'fryazino' });
+  });
+
+  test('keeps the entries used in this run between builds', () => {
+    const cacheFile = path.join(rootDir, '.page-cache', 'pages.json');
+    const first = createPageCache({ cacheFile });
+    first.set('projects/lunevo', [file('lunevo.md')], { html: 'lunevo' });
+    first.save();
+
+    const second = createPageCache({ cacheFile });
+    expect(second.get('projects/lunevo')).toEqual({ html: 'lunevo' });
+    second.save();
+
+    // Pages not rendered in the last build are not carried over
+    const third = createPageCache({ cacheFile });
+    third.set('projects/fryazino', [file('fryazino.md')], { html: 'fryazino' });
+    third.save();
+    expect(createPageCache({ cacheFile }).get('projects/lunevo')).toBeNull();
+  });
+});
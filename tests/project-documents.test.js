@@ -0,0 +1,58 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { formatFileSize, resolveDocuments, documentOutputPath } = require('../project-documents');
+
+describe('project documents', () => {
+  let pageDir;
+
+  beforeAll(() => {
+    pageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'project-documents-'));
+    fs.mkdirSync(path.join(pageDir, 'docs', 'finance'), { recursive: true });
+    fs.writeFileSync(path.join(pageDir, 'docs', 'Выписка ЕГРН.pdf'), Buffer.alloc(2048));
+    fs.writeFileSync(path.join(pageDir, 'docs', 'finance', 'model.xlsx'), 'x');
+    fs.writeFileSync(path.join(pageDir, 'docs', '.DS_Store'), '');
+  });
+
+  afterAll(() => {
+    fs.rmSync(pageDir, { recursive: true, force: true });
+  });
+
+  test('lists the whole docs folder when the body is empty', () => {
+    const docs = resolveDocuments('', pageDir);
+    expect(docs.map((doc) => [doc.file, doc.title, doc.type.kind, doc.size])).toEqual([
+      ['Выписка ЕГРН.pdf', 'Выписка ЕГРН', 'pdf', 2048],
+      ['finance/model.xlsx', 'model', 'sheet', 1]
+    ]);
+  });
+
+  test('resolves explicit rows with titles and descriptions', () => {
+    const [doc] = resolveDocuments('docs/Выписка ЕГРН.pdf | Выписка из ЕГРН | Актуальна на март 2026', pageDir);
+    expect(doc).toMatchObject({
+      file: 'Выписка ЕГРН.pdf',
+      title: 'Выписка из ЕГРН',
+      description: 'Актуальна на март 2026',
+      exists: true,
+      error: null
+    });
+  });
+
+  test('flags missing files and paths outside docs/', () => {
+    const docs = resolveDocuments('missing.pdf\n../secret.md\n/etc/passwd', pageDir);
+    expect(docs.map((doc) => doc.exists)).toEqual([false, false, false]);
+    expect(docs[0].error).toMatch(/^Document "missing.pdf" not found in .+\/docs\/$/);
+    expect(docs[1].error).toBe('Document "../secret.md" must be a path inside docs/');
+    expect(docs[2].error).toBe('Document "/etc/passwd" must be a path inside docs/');
+  });
+
+  test('formats sizes in Russian units', () => {
+    expect(formatFileSize(512)).toBe('512 Б');
+    expect(formatFileSize(1536)).toBe('1,5 КБ');
+    expect(formatFileSize(86000)).toBe('84 КБ');
+    expect(formatFileSize(1300000)).toBe('1,2 МБ');
+  });
+
+  test('builds a stable output path', () => {
+    expect(documentOutputPath('projects/lubenki', 'finance/model.xlsx')).toBe('assets/projects/lubenki/docs/finance/model.xlsx');
+  });
+});
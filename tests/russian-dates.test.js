@@ -0,0 +1,26 @@
+const { parseRussianDate } = require('../russian-dates');
+
+describe('parseRussianDate', () => {
+  test.each([
+    ['30.04.2026', 'day', '2026-04-30'],
+    ['1.5.2026', 'day', '2026-05-01'],
+    ['04.2026', 'month', '2026-04'],
+    ['апрель 2026', 'month', '2026-04'],
+    ['мая 2026 г.', 'month', '2026-05'],
+    ['сент. 2025', 'month', '2025-09'],
+    ['IV кв. 2026', 'quarter', '2026-10'],
+    ['2 квартал 2026', 'quarter', '2026-04'],
+    ['II полугодие 2027', 'half', '2027-07'],
+    ['2026', 'year', '2026']
+  ])('parses "%s"', (text, precision, datetime) => {
+    expect(parseRussianDate(text)).toEqual({ precision, datetime, label: text });
+  });
+
+  test.each(['31.02.2026', '13.2026', 'V кв. 2026', 'весна 2026', '', 'скоро'])('rejects "%s"', (text) => {
+    expect(parseRussianDate(text)).toBeNull();
+  });
+
+  test('normalizes whitespace in the label', () => {
+    expect(parseRussianDate('  IV  кв. 2026 ').label).toBe('IV кв. 2026');
+  });
+});
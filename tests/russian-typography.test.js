@@ -0,0 +1,47 @@
+const { typographText, typographHtml, typographFrontmatter } = require('../russian-typography');
+
+// Shows non-breaking spaces in expectations
+const visible = (text) => text.replace(/\u00a0/g, '~');
+
+describe('russian typography', () => {
+  test('binds short prepositions and conjunctions to the next word', () => {
+    expect(visible(typographText('Участок в черте города и на берегу'))).toBe('Участок в~черте города и~на~берегу');
+    expect(visible(typographText('Можно ли пользоваться'))).toBe('Можно~ли пользоваться');
+  });
+
+  test('glues numbers to units and groups thousands', () => {
+    expect(visible(typographText('29 км от МКАД, 1 257 кв. м за 1500000 ₽'))).toBe('29~км от~МКАД, 1~257~кв.~м за~1~500~000~₽');
+    expect(visible(typographText('до 30 дней в 2026 году'))).toBe('до~30~дней в~2026~году');
+  });
+
+  test('leaves numbers without units alone', () => {
+    expect(visible(typographText('Индекс 359425, ИНН 773671678516'))).toBe('Индекс 359425, ИНН 773671678516');
+  });
+
+  test('replaces straight quotes with nested guillemets', () => {
+    expect(typographText('Отель "Ахтари" и ЖК "Дом "Лес""')).toBe('Отель «Ахтари» и\u00a0ЖК «Дом „Лес“»');
+  });
+
+  test('turns spaced hyphens into em dashes', () => {
+    expect(visible(typographText('Земля - с 2008 г.'))).toBe('Земля~— с~2008~г.');
+  });
+
+  test('changes only text in HTML: attributes, code and URLs stay as written', () => {
+    const html = '<p title="a - b">Это &quot;<strong>Склад</strong>&quot; - см. <a href="https://x.ru/a">https://x.ru/a - b</a> <code>"a" - b</code></p>';
+    expect(visible(typographHtml(html))).toBe(
+      '<p title="a - b">Это «<strong>Склад</strong>»~— см. <a href="https://x.ru/a">https://x.ru/a~— b</a> <code>"a" - b</code></p>'
+    );
+  });
+
+  test('treats &nbsp; in markdown as a non-breaking space', () => {
+    expect(visible(typographHtml('<p>29&nbsp;км</p>'))).toBe('<p>29~км</p>');
+  });
+
+  test('typographs frontmatter text but not links', () => {
+    expect(typographFrontmatter({ title: 'Отель "Ахтари"', bot_link: 'tg://resolve?domain=a - b', faq_schema: false })).toEqual({
+      title: 'Отель «Ахтари»',
+      bot_link: 'tg://resolve?domain=a - b',
+      faq_schema: false
+    });
+  });
+});
@@ -0,0 +1,38 @@
+const { htmlToPlainText, faqPageJsonLd } = require('../structured-data');
+
+describe('structured data', () => {
+  test('converts rendered answers to plain text', () => {
+    const html = '<p>Залог <strong>60 га</strong> &laquo;ИЖС&raquo;<br>до 2027&nbsp;г.</p>\n<ul><li>Первый</li><li>Второй</li></ul>';
+    expect(htmlToPlainText(html)).toBe('Залог 60 га «ИЖС»\nдо 2027 г.\n\nПервый\n\nВторой');
+  });
+
+  test('drops numeric references outside Unicode instead of throwing', () => {
+    expect(htmlToPlainText('<p>A&#99999999;B&#x110000;C&#x41;</p>')).toBe('ABCA');
+  });
+
+  test('builds FAQPage JSON-LD from question/answer pairs', () => {
+    const script = faqPageJsonLd([
+      { question: 'Какие риски?', answer: 'Задержка согласований.' },
+      { question: 'Пустой ответ', answer: '' }
+    ]);
+    const data = JSON.parse(script.replace(/^<script type="application\/ld\+json">|<\/script>$/g, ''));
+    expect(data).toEqual({
+      '@context': 'https://schema.org',
+      '@type': 'FAQPage',
+      mainEntity: [
+        { '@type': 'Question', name: 'Какие риски?', acceptedAnswer: { '@type': 'Answer', text: 'Задержка согласований.' } }
+      ]
+    });
+  });
+
+  test('escapes "<" so an answer cannot close the script tag', () => {
+    const script = faqPageJsonLd([{ question: 'Q', answer: '</script><script>alert(1)</script>' }]);
+    expect(script.match(/<\/script>/g)).toHaveLength(1);
+    expect(script).toContain('\\u003c/script>');
+  });
+
+  test('returns nothing without questions', () => {
+    expect(faqPageJsonLd([])).toBe('');
+    expect(faqPageJsonLd(undefined)).toBe('');
+  });
+});
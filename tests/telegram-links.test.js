@@ -1,4 +1,4 @@
-const { tmeToTg } = require('../telegram-links');
+const { tmeToTg, withStartPayload } = require('../telegram-links');
 
 describe('tmeToTg', () => {
   test('converts channel link', () => {
@@ -32,3 +32,26 @@ describe('tmeToTg', () => {
     expect(tmeToTg('https://redevest.ru/')).toBe('https://redevest.ru/');
   });
 });
+
+describe('withStartPayload', () => {
+  test('replaces the start payload of Telegram and MAX links', () => {
+    expect(withStartPayload('tg://resolve?domain=FlippingInvestBot&start=akhtari', 'risks')).toBe(
+      'tg://resolve?domain=FlippingInvestBot&start=risks'
+    );
+    expect(withStartPayload('https://max.ru/id773671678516_bot?start=c1-ds', 'risks')).toBe(
+      'https://max.ru/id773671678516_bot?start=risks'
+    );
+  });
+
+  test('adds a payload to links without one', () => {
+    expect(withStartPayload('tg://resolve?domain=FlippingInvestBot', 'risks')).toBe(
+      'tg://resolve?domain=FlippingInvestBot&start=risks'
+    );
+  });
+
+  test('leaves links unchanged without a payload', () => {
+    expect(withStartPayload('tg://resolve?domain=FlippingInvestBot&start=akhtari', '')).toBe(
+      'tg://resolve?domain=FlippingInvestBot&start=akhtari'
+    );
+  });
+});
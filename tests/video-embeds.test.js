@@ -0,0 +1,40 @@
+const { parseVideoUrl } = require('../video-embeds');
+
+describe('parseVideoUrl', () => {
+  test.each([
+    ['https://www.youtube.com/watch?v=EILUT3NAYjw', 'https://www.youtube-nocookie.com/embed/EILUT3NAYjw'],
+    ['https://youtu.be/EILUT3NAYjw?t=30', 'https://www.youtube-nocookie.com/embed/EILUT3NAYjw'],
+    ['https://www.youtube.com/embed/EILUT3NAYjw', 'https://www.youtube-nocookie.com/embed/EILUT3NAYjw'],
+    ['https://youtube.com/shorts/EILUT3NAYjw', 'https://www.youtube-nocookie.com/embed/EILUT3NAYjw']
+  ])('normalizes YouTube link %s', (link, embedUrl) => {
+    expect(parseVideoUrl(link)).toEqual({ provider: 'youtube', providerName: 'YouTube', embedUrl });
+  });
+
+  test.each([
+    'https://rutube.ru/video/2f7ea6fbf291c4084bab130f3558668a/',
+    'https://rutube.ru/play/embed/2f7ea6fbf291c4084bab130f3558668a'
+  ])('normalizes Rutube link %s', (link) => {
+    expect(parseVideoUrl(link)).toMatchObject({
+      provider: 'rutube',
+      embedUrl: 'https://rutube.ru/play/embed/2f7ea6fbf291c4084bab130f3558668a/'
+    });
+  });
+
+  test.each([
+    ['https://vkvideo.ru/video-12345_678', 'https://vkvideo.ru/video_ext.php?oid=-12345&id=678'],
+    ['https://vk.com/video?z=video-12345_678%2Fpl', 'https://vkvideo.ru/video_ext.php?oid=-12345&id=678'],
+    ['https://vk.com/video_ext.php?oid=-12345&id=678&hash=abc&autoplay=1', 'https://vkvideo.ru/video_ext.php?oid=-12345&id=678&hash=abc']
+  ])('normalizes VK Video link %s', (link, embedUrl) => {
+    expect(parseVideoUrl(link)).toMatchObject({ provider: 'vk', providerName: 'VK Видео', embedUrl });
+  });
+
+  test.each([
+    'https://portfolio5.3dpanorama.spb.ru/2026-02/render-v04/',
+    'https://www.youtube.com/channel/abc',
+    'javascript:alert(1)',
+    'not a url',
+    undefined
+  ])('rejects %s', (link) => {
+    expect(parseVideoUrl(link)).toBeNull();
+  });
+});
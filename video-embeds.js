@@ -0,0 +1,95 @@
+/**
+ * Recognises VK Video, Rutube and YouTube links and turns them into player embed URLs
+ * for the [[video]] block. The player itself is loaded by common.js on click.
+ */
+
+/**
+ * @typedef {object} VideoEmbed
+ * @property {'vk'|'rutube'|'youtube'} provider
+ * @property {string} providerName - Human-readable provider name
+ * @property {string} embedUrl - Player URL to put into the iframe once the facade is clicked
+ */
+
+const PROVIDER_NAMES = {
+  vk: 'VK Видео',
+  rutube: 'Rutube',
+  youtube: 'YouTube'
+};
+
+/**
+ * @param {URL} url
+ * @returns {string|null} Embed URL without autoplay
+ */
+function youtubeEmbedUrl(url) {
+  const host = url.hostname.replace(/^(?:www\.|m\.)/, '');
+  let id = null;
+  if (host === 'youtu.be') {
+    id = url.pathname.slice(1);
+  } else if (host === 'youtube.com' || host === 'youtube-nocookie.com') {
+    const match = url.pathname.match(/^\/(?:embed|shorts|live)\/([^/]+)/);
+    id = match ? match[1] : url.searchParams.get('v');
+  }
+  if (!id || !/^[A-Za-z0-9_-]{6,}$/.test(id)) return null;
+  return `https://www.youtube-nocookie.com/embed/${id}`;
+}
+
+/**
+ * @param {URL} url
+ * @returns {string|null}
+ */
+function rutubeEmbedUrl(url) {
+  if (url.hostname.replace(/^www\./, '') !== 'rutube.ru') return null;
+  const match = url.pathname.match(/^\/(?:video|play\/embed)\/([0-9a-f]{32})\/?$/i);
+  return match ? `https://rutube.ru/play/embed/${match[1]}/` : null;
+}
+
+/**
+ * @param {URL} url
+ * @returns {string|null}
+ */
+function vkEmbedUrl(url) {
+  const host = url.hostname.replace(/^(?:www\.|m\.)/, '');
+  if (host !== 'vk.com' && host !== 'vkvideo.ru' && host !== 'vk.ru') return null;
+
+  if (url.pathname === '/video_ext.php') {
+    const oid = url.searchParams.get('oid');
+    const id = url.searchParams.get('id');
+    if (!/^-?\d+$/.test(oid || '') || !/^\d+$/.test(id || '')) return null;
+    const embed = new URL('https://vkvideo.ru/video_ext.php');
+    embed.searchParams.set('oid', oid);
+    embed.searchParams.set('id', id);
+    if (url.searchParams.get('hash')) embed.searchParams.set('hash', url.searchParams.get('hash'));
+    return embed.toString();
+  }
+
+  // vkvideo.ru/video-123_456, vk.com/video?z=video-123_456
+  const source = url.pathname === '/video' ? url.searchParams.get('z') || '' : url.pathname.slice(1);
+  const match = source.match(/^(?:clip|video)(-?\d+)_(\d+)/);
+  return match ? `https://vkvideo.ru/video_ext.php?oid=${match[1]}&id=${match[2]}` : null;
+}
+
+/**
+ * Parses a video page or embed link.
+ * @param {string} link
+ * @returns {VideoEmbed|null} null for invalid URLs and unknown hosts
+ */
+function parseVideoUrl(link) {
+  let url;
+  try {
+    url = new URL(String(link || '').trim());
+  } catch {
+    return null;
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+
+  const resolvers = { youtube: youtubeEmbedUrl, rutube: rutubeEmbedUrl, vk: vkEmbedUrl };
+  for (const [provider, resolve] of Object.entries(resolvers)) {
+    const embedUrl = resolve(url);
+    if (embedUrl) return { provider, providerName: PROVIDER_NAMES[provider], embedUrl };
+  }
+  return null;
+}
+
+module.exports = {
+  parseVideoUrl
+};
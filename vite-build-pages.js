@@ -1,4 +1,5 @@
 import { tmeToTg } from './telegram-links.js';
+import { faqPageJsonLd } from './structured-data.js';
 
 const PROJECT_DEFAULTS = {
   hero_badge: 'Инвестиционный проект',
@@ -28,6 +29,15 @@ function withCacheControlMeta(templateContent) {
   return templateContent.replace(/(<meta charset="UTF-8">)/, `$1${CACHE_CONTROL_META}`);
 }
 
+/** Adds FAQPage JSON-LD from the page's toggles unless frontmatter sets faq_schema: false. */
+function withFaqJsonLd(templateContent, metadata) {
+  const script = metadata.faq_schema === false ? '' : faqPageJsonLd(metadata.faq);
+  if (!script) {
+    return templateContent;
+  }
+  return templateContent.replace('</head>', () => `${script}\n</head>`);
+}
+
 function applyProjectMaxCtaLayout(rendered, maxBotLink) {
   if (maxBotLink) {
     return rendered;
@@ -61,7 +71,7 @@ export function renderProjectPageHtml(templateContent, metadata, html, slug, mod
     rendered = rendered.replace(/src="common\.js/g, 'src="../common.js');
   }
 
-  return withCacheControlMeta(rendered);
+  return withCacheControlMeta(withFaqJsonLd(rendered, metadata));
 }
 
 export function renderLegalPageHtml(templateContent, metadata, html, slug, siteBase, ctaBlocks, mode) {
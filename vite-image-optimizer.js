@@ -1,6 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import sharp from 'sharp';
+import { getDimensionsManifest } from './image-dimensions.js';
 
 // Constants
 const CACHE_DIR = '.image-cache';
@@ -340,6 +341,12 @@ async function optimizeImages(isDev, emitFile = null) {
     if (wasModified) cacheModified = true;
   }
 
+  // Sizes and blurred placeholders of project images, inlined into pages by build-markdown.js
+  const manifest = getDimensionsManifest();
+  await manifest.load(projectFiles);
+  const placeholders = projectFiles.filter((file) => manifest.get(file)?.placeholder).length;
+  console.log(`🌫️  Placeholders ready: ${placeholders}/${projectFiles.length} project images`);
+
   // Save cache modification flag for CI
   if (cacheModified && !isDev) {
     try {
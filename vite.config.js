@@ -1,22 +1,38 @@
 import { defineConfig } from 'vite';
 import fs from 'fs';
 import path from 'path';
-import { processMarkdownFile, findProjects } from './build-markdown.js';
+import { processMarkdownFile, findProjects, LEGAL_PAGES } from './build-markdown.js';
 import sharp from 'sharp';
 import { imageOptimizerPlugin } from './vite-image-optimizer.js';
 import { renderProjectPageHtml, renderLegalPageHtml } from './vite-build-pages.js';
+import { formatDiagnostic, isErrorDiagnostic, renderDiagnosticsHtml } from './markdown-diagnostics.js';
+import { createPageCache } from './page-cache.js';
+import { addImageDimensions, getDimensionsManifest } from './image-dimensions.js';
 
 const srcDir = path.join(__dirname, 'src');
 const distDir = path.join(__dirname, 'dist');
 const SITE_BASE = 'https://rede-vest.ru';
+/** Rendered pages kept between builds, see page-cache.js */
+const PAGE_CACHE_FILE = path.join(__dirname, '.page-cache', 'pages.json');
+/** Build code and locked dependencies: every cached page is rebuilt when any of them changes */
+const BUILD_FILES = [
+  ...fs.readdirSync(__dirname).filter((f) => f.endsWith('.js')).map((f) => path.join(__dirname, f)),
+  path.join(__dirname, 'package-lock.json')
+];
 /** Referenced only from emitted project HTML, not imported — must be copied into dist/assets */
 const MONO_LOGO_SVGS = ['telegram-logo-mono.svg', 'max-logo-mono.svg'];
-
-const LEGAL_PAGES = [
-  { slug: 'events', md: 'legal/events.md' },
-  { slug: 'privacy', md: 'legal/privacy.md' },
-  { slug: 'community-rules', md: 'legal/community-rules.md' }
-];
+/** Content types for [[documents]] files served by the dev server */
+const DOCUMENT_CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.csv': 'text/csv; charset=utf-8',
+  '.zip': 'application/zip'
+};
 
 function buildLegalCtaBlocks(metadata) {
   const link = metadata.cta_link;
@@ -50,11 +66,26 @@ function getReportInputs() {
   );
 }
 
-function replaceIncludes(html) {
+/**
+ * Prints markdown diagnostics to the terminal as warnings.
+ * @param {Array<object>} diagnostics
+ */
+function warnDiagnostics(diagnostics) {
+  diagnostics.forEach((diagnostic) => console.warn(`[build-markdown] ${formatDiagnostic(diagnostic)}`));
+}
+
+/**
+ * Inlines <!-- @include partial --> comments.
+ * @param {string} html
+ * @param {string[]} [usedFiles] - Receives the partial paths, found or not
+ * @returns {string}
+ */
+function replaceIncludes(html, usedFiles = []) {
   return html.replace(/<!-- @include ([^>]+) -->/g, (match, partialPath) => {
     const partialFile = partialPath.startsWith('partials/')
       ? path.join(srcDir, partialPath)
       : path.join(srcDir, 'partials', partialPath.endsWith('.html') ? partialPath : partialPath + '.html');
+    usedFiles.push(partialFile);
     if (fs.existsSync(partialFile)) {
       return fs.readFileSync(partialFile, 'utf8');
     }
@@ -63,6 +94,74 @@ function replaceIncludes(html) {
   });
 }
 
+/**
+ * Renders a project page into its template. In dev, diagnostics are shown above the content.
+ * @param {{slug: string, mdPath: string}} project
+ * @param {'dev'|'build'} mode
+ * @returns {Promise<{html: string, diagnostics: Array<object>, documents: Array<object>, dependencies: string[]}>}
+ */
+async function renderProjectPage(project, mode) {
+  const { html, metadata, diagnostics, documents, dependencies } = await processMarkdownFile(project.mdPath, project.slug);
+  const templatePath = path.join(srcDir, 'templates', 'project.html');
+  const partials = [];
+  const templateContent = replaceIncludes(fs.readFileSync(templatePath, 'utf8'), partials);
+  const contentHtml = mode === 'dev' ? renderDiagnosticsHtml(diagnostics) + html : html;
+  return {
+    html: renderProjectPageHtml(templateContent, metadata, contentHtml, project.slug, mode),
+    diagnostics,
+    documents,
+    dependencies: [...dependencies, templatePath, ...partials]
+  };
+}
+
+/**
+ * Renders a legal page into its template, see renderProjectPage().
+ * @param {{slug: string, md: string}} legalPage
+ * @param {'dev'|'build'} mode
+ * @returns {Promise<{html: string, diagnostics: Array<object>, documents: Array<object>, dependencies: string[]}>}
+ */
+async function renderLegalPage(legalPage, mode) {
+  const mdPath = path.join(srcDir, legalPage.md);
+  const { html, metadata, diagnostics, documents, dependencies } = await processMarkdownFile(mdPath, legalPage.slug, { pageType: 'legal' });
+  const templatePath = path.join(srcDir, 'templates', 'legal.html');
+  const partials = [];
+  const templateContent = replaceIncludes(fs.readFileSync(templatePath, 'utf8'), partials);
+  const contentHtml = mode === 'dev' ? renderDiagnosticsHtml(diagnostics) + html : html;
+  return {
+    html: renderLegalPageHtml(
+      templateContent,
+      metadata,
+      contentHtml,
+      legalPage.slug,
+      SITE_BASE,
+      buildLegalCtaBlocks(metadata),
+      mode
+    ),
+    diagnostics,
+    documents,
+    dependencies: [...dependencies, templatePath, ...partials]
+  };
+}
+
+/**
+ * Returns the cached page while none of its files changed, otherwise renders and caches it.
+ * Pages with errors stay in the dependency graph but are rendered again until fixed.
+ * @param {import('./page-cache.js').PageCache} pageCache
+ * @param {string} key - Page path, e.g. "projects/lunevo"
+ * @param {() => ReturnType<typeof renderProjectPage>} render
+ * @returns {Promise<{html: string, diagnostics: Array<object>, documents: Array<object>, dependencies: string[], cached: boolean}>}
+ */
+async function renderCachedPage(pageCache, key, render) {
+  const cached = pageCache.get(key);
+  if (cached && !cached.diagnostics.some(isErrorDiagnostic)) {
+    console.log(`[build-markdown] ${key} unchanged, cached`);
+    return { ...cached, cached: true };
+  }
+  const page = await render();
+  pageCache.set(key, [...page.dependencies, ...BUILD_FILES], page);
+  return { ...page, cached: false };
+}
+
 function getBundleAssets(bundle, onError) {
   const entries = Object.entries(bundle);
   const chunks = entries
@@ -169,6 +268,17 @@ export default defineConfig({
         return replaceIncludes(html);
       }
     },
+    {
+      // Width, height and aspect-ratio for the hero images of index.html; runs before Vite
+      // rewrites the sources to hashed asset URLs
+      name: 'html-image-dimensions',
+      transformIndexHtml: {
+        order: 'pre',
+        handler(html, { filename }) {
+          return addImageDimensions(html, path.dirname(filename), getDimensionsManifest());
+        }
+      }
+    },
     // Plugin for Markdown projects
     {
       name: 'markdown-projects',
@@ -222,7 +332,6 @@ export default defineConfig({
       configureServer(server) {
         const srcProjectsDir = path.join(__dirname, 'src', 'projects');
         const srcLegalDir = path.join(__dirname, 'src', 'legal');
-        const templatesDir = path.join(__dirname, 'src', 'templates');
 
         // Watch whole trees so new projects/legal pages are picked up without restart
         if (fs.existsSync(srcProjectsDir)) server.watcher.add(srcProjectsDir);
@@ -241,48 +350,48 @@ export default defineConfig({
           if (fs.existsSync(mdPath)) server.watcher.add(mdPath);
         }
 
-        const triggersMarkdownPageReload = (filePath) => {
-          const fp = path.normalize(filePath);
-          if (fp.endsWith('.md')) {
-            return fp.includes(`${path.sep}projects${path.sep}`) || fp.includes(`${path.sep}legal${path.sep}`);
+        // Rendered pages and the files they were built from; see page-cache.js
+        const pageCache = createPageCache();
+        // Files outside the watched trees (snippets, tables, documents) are watched once a page using them has been rendered
+        const watchedFiles = new Set();
+        const watchDependencies = (dependencies) => {
+          for (const file of dependencies) {
+            if (watchedFiles.has(file) || file.startsWith(srcProjectsDir) || file.startsWith(srcLegalDir)) continue;
+            watchedFiles.add(file);
+            server.watcher.add(file);
           }
-          if (fp.endsWith('project.html') || fp.endsWith('legal.html')) {
-            return fp.startsWith(path.normalize(templatesDir));
+        };
+        const serveCachedPage = async (res, key, render) => {
+          const page = await renderCachedPage(pageCache, key, render);
+          if (!page.cached) {
+            warnDiagnostics(page.diagnostics);
+            watchDependencies(page.dependencies);
           }
-          return false;
+          res.setHeader('Content-Type', 'text/html');
+          res.end(page.html);
         };
 
-        // Markdown / templates drive HTML via middleware; tell the client to reload so the browser shows rebuilt HTML
-        server.watcher.on('change', (filePath) => {
-          if (!triggersMarkdownPageReload(filePath)) return;
-          if (filePath.endsWith('.md')) {
-            console.log(`Markdown changed, full reload: ${filePath}`);
-          } else {
-            console.log(`Project/legal template changed, full reload: ${filePath}`);
-          }
-          server.ws.send({ type: 'full-reload' });
-        });
+        // Only the pages built from the changed file are dropped, and only browsers showing them reload.
+        // Not a full-reload with a path: Vite matches that against location.pathname literally, and pages
+        // are also served without ".html" (/projects/lunevo). The listener in common.js compares page keys
+        const reloadDependentPages = (filePath) => {
+          const keys = pageCache.invalidate(filePath);
+          if (keys.length === 0) return;
+          console.log(`Page source changed, reloading ${keys.map((key) => `/${key}.html`).join(', ')}: ${filePath}`);
+          server.ws.send('redevest:pages-changed', { keys });
+        };
+        server.watcher.on('change', reloadDependentPages);
+        server.watcher.on('add', reloadDependentPages);
+        server.watcher.on('unlink', reloadDependentPages);
 
         // Handle project pages in dev mode
         server.middlewares.use('/projects', async (req, res, next) => {
           const slug = req.url.replace('/', '').replace('.html', '');
-          const projects = findProjects();
-          const project = projects.find(p => p.slug === slug);
+          const project = findProjects().find(p => p.slug === slug);
 
           if (project) {
             try {
-              const { html, metadata } = await processMarkdownFile(project.mdPath, project.slug);
-
-              // Read project template
-              const templatePath = path.join(__dirname, 'src', 'templates', 'project.html');
-              let templateContent = fs.readFileSync(templatePath, 'utf8');
-
-              templateContent = replaceIncludes(templateContent);
-
-              templateContent = renderProjectPageHtml(templateContent, metadata, html, project.slug, 'dev');
-
-              res.setHeader('Content-Type', 'text/html');
-              res.end(templateContent);
+              await serveCachedPage(res, `projects/${project.slug}`, () => renderProjectPage(project, 'dev'));
               return;
             } catch (error) {
               console.error(`Error processing project ${project.slug}:`, error.message);
@@ -295,6 +404,23 @@ export default defineConfig({
           next();
         });
 
+        // Handle [[documents]] files in dev mode: /assets/projects/<slug>/docs/... and /assets/legal/docs/...
+        server.middlewares.use('/assets', (req, res, next) => {
+          const pathname = decodeURIComponent(req.url.split('?')[0]);
+          const match = pathname.match(/^\/(projects\/[^/]+|legal)\/docs\/(.+)$/);
+          if (!match || match[2].split('/').includes('..')) {
+            next();
+            return;
+          }
+          const docPath = path.join(__dirname, 'src', match[1], 'docs', match[2]);
+          if (!fs.existsSync(docPath) || !fs.statSync(docPath).isFile()) {
+            next();
+            return;
+          }
+          res.setHeader('Content-Type', DOCUMENT_CONTENT_TYPES[path.extname(docPath).toLowerCase()] || 'application/octet-stream');
+          fs.createReadStream(docPath).pipe(res);
+        });
+
         // Handle project images in dev mode
         server.middlewares.use('/assets/projects', (req, res, next) => {
           const pathname = req.url.split('?')[0];
@@ -341,7 +467,6 @@ export default defineConfig({
             next();
             return;
           }
-          const slug = lp.slug;
           const mdPath = path.join(__dirname, 'src', lp.md);
           const templatePath = path.join(__dirname, 'src', 'templates', 'legal.html');
           if (!fs.existsSync(mdPath) || !fs.existsSync(templatePath)) {
@@ -349,23 +474,9 @@ export default defineConfig({
             return;
           }
           try {
-            const { html, metadata } = await processMarkdownFile(mdPath, slug);
-            const { cta_hero, cta_footer } = buildLegalCtaBlocks(metadata);
-            let templateContent = fs.readFileSync(templatePath, 'utf8');
-            templateContent = replaceIncludes(templateContent);
-            templateContent = renderLegalPageHtml(
-              templateContent,
-              metadata,
-              html,
-              slug,
-              SITE_BASE,
-              { cta_hero, cta_footer },
-              'dev'
-            );
-            res.setHeader('Content-Type', 'text/html');
-            res.end(templateContent);
+            await serveCachedPage(res, `legal/${lp.slug}`, () => renderLegalPage(lp, 'dev'));
           } catch (error) {
-            console.error(`Error processing legal/${slug}:`, error.message);
+            console.error(`Error processing legal/${lp.slug}:`, error.message);
             res.statusCode = 500;
             res.end('Internal Server Error');
           }
@@ -373,29 +484,34 @@ export default defineConfig({
       },
       async generateBundle() {
         const generationErrors = [];
+        // Markdown errors fail the build; warnings are only printed
+        const collectDiagnostics = (diagnostics) => {
+          warnDiagnostics(diagnostics.filter((diagnostic) => !isErrorDiagnostic(diagnostic)));
+          diagnostics.filter(isErrorDiagnostic).forEach((diagnostic) => generationErrors.push(formatDiagnostic(diagnostic)));
+        };
+        // [[documents]] files, emitted once per output path
+        const emittedDocuments = new Set();
+        const emitDocuments = (documents) => {
+          for (const { sourcePath, fileName } of documents) {
+            if (emittedDocuments.has(fileName)) continue;
+            emittedDocuments.add(fileName);
+            this.emitFile({ type: 'asset', fileName, source: fs.readFileSync(sourcePath) });
+          }
+        };
 
-        // Process and generate project pages for build
-        const projects = findProjects();
+        // Pages whose files did not change since the last build are taken from the cache
+        const pageCache = createPageCache({ cacheFile: PAGE_CACHE_FILE });
+        const emitPage = async (key, render) => {
+          const { html, diagnostics, documents } = await renderCachedPage(pageCache, key, render);
+          collectDiagnostics(diagnostics);
+          emitDocuments(documents);
+          this.emitFile({ type: 'asset', fileName: `${key}.html`, source: html });
+        };
 
-        for (const project of projects) {
+        // Process and generate project pages for build
+        for (const project of findProjects()) {
           try {
-            const { html, metadata } = await processMarkdownFile(project.mdPath, project.slug);
-
-            // Read project template
-            const templatePath = path.join(__dirname, 'src', 'templates', 'project.html');
-            let templateContent = fs.readFileSync(templatePath, 'utf8');
-
-            templateContent = replaceIncludes(templateContent);
-
-            templateContent = renderProjectPageHtml(templateContent, metadata, html, project.slug, 'build');
-
-            // Emit project page
-            this.emitFile({
-              type: 'asset',
-              fileName: `projects/${project.slug}.html`,
-              source: templateContent
-            });
-
+            await emitPage(`projects/${project.slug}`, () => renderProjectPage(project, 'build'));
           } catch (error) {
             generationErrors.push(`project ${project.slug}: ${error.message}`);
           }
@@ -408,29 +524,13 @@ export default defineConfig({
             const mdPath = path.join(__dirname, 'src', lp.md);
             if (!fs.existsSync(mdPath)) continue;
             try {
-              const { html, metadata } = await processMarkdownFile(mdPath, lp.slug);
-              const { cta_hero, cta_footer } = buildLegalCtaBlocks(metadata);
-              let templateContent = fs.readFileSync(legalTemplatePath, 'utf8');
-              templateContent = replaceIncludes(templateContent);
-              templateContent = renderLegalPageHtml(
-                templateContent,
-                metadata,
-                html,
-                lp.slug,
-                SITE_BASE,
-                { cta_hero, cta_footer },
-                'build'
-              );
-              this.emitFile({
-                type: 'asset',
-                fileName: `legal/${lp.slug}.html`,
-                source: templateContent
-              });
+              await emitPage(`legal/${lp.slug}`, () => renderLegalPage(lp, 'build'));
             } catch (error) {
               generationErrors.push(`legal ${lp.slug}: ${error.message}`);
             }
           }
         }
+        pageCache.save();
 
         if (generationErrors.length > 0) {
           this.error(`Failed to generate markdown pages:\n${generationErrors.join('\n')}`);